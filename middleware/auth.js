@@ -0,0 +1,130 @@
+// File: backend/middleware/auth.js
+
+const jwt = require('jsonwebtoken');
+
+// Lifetimes can be tuned per deployment; defaults keep access tokens short-lived
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+const getSecret = (type) => {
+  const secret = type === 'refresh'
+    ? (process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET)
+    : process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not set in the environment.');
+  }
+  return secret;
+};
+
+// Issue an access/refresh token pair for a user or admin.
+// `subject` is { id, role, adminRole } where role is 'user' or 'admin' and
+// adminRole is the staff role (owner, catalog-editor, fulfilment) for admins.
+const generateTokens = (subject) => {
+  const payload = { sub: String(subject.id), role: subject.role };
+  if (subject.adminRole) payload.adminRole = subject.adminRole;
+
+  const accessToken = jwt.sign({ ...payload, type: 'access' }, getSecret('access'), {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+  const refreshToken = jwt.sign({ ...payload, type: 'refresh' }, getSecret('refresh'), {
+    expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+  });
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN };
+};
+
+// Verify a token of the given type and return its decoded payload (throws if invalid/expired)
+const verifyToken = (token, type = 'access') => {
+  const decoded = jwt.verify(token, getSecret(type));
+  if (decoded.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected a ${type} token`);
+  }
+  return decoded;
+};
+
+// Requires a valid `Authorization: Bearer <accessToken>` header.
+// On success `req.auth` is set to { id, role, adminRole, expiresAt } (expiresAt in ms).
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Authentication required.' });
+  }
+
+  try {
+    const decoded = verifyToken(token, 'access');
+    req.auth = { id: decoded.sub, role: decoded.role, adminRole: decoded.adminRole, expiresAt: decoded.exp * 1000 };
+    next();
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Session expired. Please refresh your token or log in again.' });
+    }
+    return res.status(401).json({ message: 'Invalid authentication token.' });
+  }
+};
+
+// Sets `req.auth` when a valid access token is sent and carries on without it otherwise.
+// For public routes that show extra details to signed-in callers.
+const optionalAuth = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    try {
+      const decoded = verifyToken(token, 'access');
+      req.auth = { id: decoded.sub, role: decoded.role, adminRole: decoded.adminRole, expiresAt: decoded.exp * 1000 };
+    } catch (err) {
+      // Treat an invalid or expired token like no token
+    }
+  }
+  next();
+};
+
+// Lets `?token=<accessToken>` stand in for the Authorization header. Only for routes used by
+// clients that cannot set headers (browser EventSource); put it before requireAuth/requireRole.
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string' && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Requires an authenticated caller with one of the given roles
+const requireRole = (...roles) => [
+  requireAuth,
+  (req, res, next) => {
+    if (!roles.includes(req.auth.role)) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+    }
+    next();
+  },
+];
+
+// Requires an admin whose staff role is one of `adminRoles`. Owners always pass;
+// with no roles given any staff member is allowed.
+const requireAdmin = (...adminRoles) => [
+  ...requireRole('admin'),
+  (req, res, next) => {
+    const { adminRole } = req.auth;
+    if (adminRole === 'owner' || adminRoles.length === 0 || adminRoles.includes(adminRole)) {
+      return next();
+    }
+    return res.status(403).json({ message: 'Your staff role does not allow this action.' });
+  },
+];
+
+// Ownership check: admins may act on any user, users only on themselves
+const isSelfOrAdmin = (req, userId) => {
+  if (!req.auth) return false;
+  return req.auth.role === 'admin' || (req.auth.role === 'user' && req.auth.id === String(userId));
+};
+
+module.exports = {
+  generateTokens,
+  verifyToken,
+  requireAuth,
+  optionalAuth,
+  allowQueryToken,
+  requireRole,
+  requireAdmin,
+  isSelfOrAdmin,
+};
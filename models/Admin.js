@@ -0,0 +1,77 @@
+// File: backend/models/Admin.js
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs'); // For password hashing
+
+// Staff roles. An owner can do everything, including managing other staff accounts.
+const ADMIN_ROLES = ['owner', 'catalog-editor', 'fulfilment'];
+
+const adminSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    minlength: [3, 'Username must be at least 3 characters long'],
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters long'],
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: {
+      values: ADMIN_ROLES,
+      message: props => `${props.value} is not a valid staff role!`
+    },
+  },
+  // Deactivated staff can no longer log in or refresh their session
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Hash the password before saving the admin
+adminSchema.pre('save', async function(next) {
+  if (this.isModified('password')) {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+  }
+  next();
+});
+
+// Method to compare entered password with hashed password in database
+adminSchema.methods.matchPassword = async function(enteredPassword) {
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// First-run bootstrap: create the initial owner from the environment when no staff exist yet
+adminSchema.statics.bootstrapOwner = async function() {
+  if (await this.exists({})) return null;
+
+  const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  if (!username || !password) {
+    console.warn('⚠️ No admin accounts exist. Set ADMIN_BOOTSTRAP_USERNAME and ADMIN_BOOTSTRAP_PASSWORD to create the initial owner.');
+    return null;
+  }
+
+  const owner = await this.create({ username, password, role: 'owner' });
+  console.log(`👑 Created initial owner account "${owner.username}".`);
+  return owner;
+};
+
+adminSchema.statics.ROLES = ADMIN_ROLES;
+
+module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,42 @@
+// File: backend/models/Cart.js
+
+const mongoose = require('mongoose');
+
+// One cart per user, so it follows the customer across devices.
+// Only the selection is stored; names and prices are read from `Product` whenever the cart is shown.
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  items: [
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+      },
+      size: { type: String, default: '', trim: true },
+      color: { type: String, default: '', trim: true },
+      quantity: { type: Number, required: true, min: 1 },
+      addedAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+cartSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
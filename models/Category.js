@@ -0,0 +1,57 @@
+// File: backend/models/Category.js
+
+const mongoose = require('mongoose');
+
+// A node in the catalogue's category tree. Products reference one by `categoryId` and keep
+// its name in `category` (see utils/categories.js).
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [60, 'Category name must be at most 60 characters long'],
+  },
+  // URL-safe identifier, e.g. 'mens-shoes'. Unique across the whole tree.
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single hyphens'],
+  },
+  // Null for top-level categories
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  description: { type: String, default: '', trim: true, maxlength: 500 },
+  order: { type: Number, default: 0 }, // Position among its siblings, lowest first
+  // Banner/tile image with its generated derivatives (see utils/images.js)
+  image: {
+    url: { type: String, default: '' },
+    mediumUrl: { type: String, default: '' },
+    thumbnailUrl: { type: String, default: '' },
+    storageKeys: { type: [String], default: [] },
+  },
+  // Inactive categories are left out of navigation and cannot be given to products
+  active: { type: Boolean, default: true },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+categorySchema.index({ parentId: 1, order: 1, name: 1 });
+
+categorySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,21 @@
+// File: backend/models/Counter.js
+
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers per financial year). `_id` is the sequence name.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+// Atomically take the next number of a sequence, starting at 1
+counterSchema.statics.nextSequence = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,80 @@
+// File: backend/models/Coupon.js
+
+const mongoose = require('mongoose');
+
+// A coupon code or an automatic promotion (autoApply) applied at checkout.
+// See utils/promotions.js for how each type is calculated.
+const couponSchema = new mongoose.Schema({
+  // Code customers type in; automatic promotions may leave it empty
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    required: [function() { return !this.autoApply; }, 'Coupon code is required'],
+  },
+  name: { type: String, required: [true, 'Name is required'], trim: true },
+  description: { type: String, trim: true, default: '' },
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['percentage', 'fixed', 'buy_x_get_y'],
+      message: props => `${props.value} is not a valid coupon type!`
+    },
+  },
+  // Percentage (0-100) for 'percentage', amount off for 'fixed'; unused for 'buy_x_get_y'
+  value: { type: Number, min: 0, default: 0 },
+  // Upper bound on a percentage discount, if any
+  maxDiscount: { type: Number, min: 0, default: null },
+  // Buy `buyQuantity` eligible units, get the cheapest `getQuantity` of them free
+  buyQuantity: { type: Number, min: 1, default: null },
+  getQuantity: { type: Number, min: 1, default: null },
+
+  minCartValue: { type: Number, min: 0, default: 0 },
+  usageLimit: { type: Number, min: 1, default: null }, // Total redemptions across all users
+  usedCount: { type: Number, min: 0, default: 0 },
+  perUserLimit: { type: Number, min: 1, default: null },
+  validFrom: { type: Date, default: null },
+  validUntil: { type: Date, default: null },
+
+  // Restrict the discount to these categories and/or products (empty means the whole cart)
+  applicableCategories: { type: [String], default: [] },
+  applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+
+  autoApply: { type: Boolean, default: false }, // Applied to every eligible cart without a code
+  active: { type: Boolean, default: true },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+  if (this.type === 'fixed' && this.value <= 0) {
+    this.invalidate('value', 'Discount amount must be greater than zero');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required for buy X get Y promotions');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+  next();
+});
+
+couponSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
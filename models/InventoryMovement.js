@@ -0,0 +1,45 @@
+// File: backend/models/InventoryMovement.js
+
+const mongoose = require('mongoose');
+
+// One change to a product's (or variant's) stock. The sum of `quantity` per product/variant is
+// the stock the ledger expects; see utils/inventory.js for how movements are recorded and reconciled.
+const inventoryMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Null for products that do not track stock per variant
+  variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  sku: { type: String, default: '' },
+  name: { type: String, default: '' }, // Product name at the time, for readable history
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['restock', 'sale', 'cancellation', 'return', 'exchange', 'adjustment'],
+      message: props => `${props.value} is not a valid movement type!`
+    },
+  },
+  // Signed change in units: negative when stock goes out, positive when it comes in
+  quantity: { type: Number, required: true },
+  // Stock of the product/variant right after this movement, when known
+  stockAfter: { type: Number, default: null },
+  reason: { type: String, required: [true, 'A reason is required for every stock movement'], trim: true, maxlength: 500 },
+  actor: {
+    role: { type: String, required: true, enum: ['user', 'admin', 'system'] },
+    id: { type: String, default: null },
+  },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+  returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest', default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+inventoryMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
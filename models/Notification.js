@@ -0,0 +1,30 @@
+// File: backend/models/Notification.js
+
+const mongoose = require('mongoose');
+
+// A message in a customer's in-app inbox (see utils/notifications.js)
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  event: { type: String, required: true }, // e.g. 'order.shipped'
+  title: { type: String, required: true, trim: true },
+  message: { type: String, required: true, trim: true },
+  readAt: { type: Date, default: null }, // Null while unread
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,36 @@
+// File: backend/models/OneTimeCode.js
+
+const mongoose = require('mongoose');
+
+// A one-time code sent by SMS to verify a mobile number or reset a password (see utils/otp.js).
+// Only a hash of the code is stored.
+const oneTimeCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['verify-mobile', 'reset-password'],
+      message: props => `${props.value} is not a valid code purpose!`
+    },
+  },
+  mobileNumber: { type: String, required: true, trim: true }, // Number the code was sent to
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 }, // Wrong guesses so far
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date, default: null }, // Set once the code has been used
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+oneTimeCodeSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+// Let MongoDB remove codes once they have expired
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
@@ -1,6 +1,9 @@
 // File: backend/models/Order.js
 
 const mongoose = require('mongoose');
+const { publish } = require('../services/events');
+const { addressFields } = require('./addressFields');
+const { nextInvoiceNumber } = require('../utils/invoices');
 
 // Define the schema for an Order
 const orderSchema = new mongoose.Schema({
@@ -18,35 +21,29 @@ const orderSchema = new mongoose.Schema({
         ref: 'Product', // Refers to the 'Product' model
         required: true,
       },
+      // Variant chosen at checkout, for products that track stock per size/colour
+      variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      sku: { type: String, default: '' },
       name: { type: String, required: true },
+      category: { type: String, default: '' }, // Category at time of order, for coupon scope and reporting
       // Store current price at time of order for historical accuracy
       price: { type: Number, required: true },
       quantity: { type: Number, required: true, min: 1 },
+      size: { type: String, default: '' }, // Selected size, if the product comes in sizes
+      color: { type: String, default: '' }, // Selected colour, if the product comes in colours
       image: { type: String }, // Storing image path for convenience in frontend display
+      // GST for the line at order time (see utils/tax.js)
+      discount: { type: Number, min: 0, default: 0 }, // Share of the order discount
+      taxRate: { type: Number, min: 0, default: 0 },
+      taxableValue: { type: Number, min: 0, default: 0 },
+      tax: { type: Number, min: 0, default: 0 },
     },
   ],
-  // Shipping address details
+  // Shipping address details, copied at order time so later address book edits do not change the order
   shippingAddress: {
-    personName: { type: String, required: true, trim: true },
-    mobileNumber: {
-      type: String,
-      required: [true, 'Mobile number is required for shipping'],
-      trim: true,
-      validate: {
-        validator: function(v) {
-          return /^\d{10}$/.test(v); // Ensures 10 digits
-        },
-        message: props => `${props.value} is not a valid 10-digit mobile number!`
-      },
-    },
-    address: { type: String, required: true, trim: true },
-    pincode: {
-      type: String,
-      required: true,
-      trim: true,
-      match: [/^\d{6}$/, 'Pincode must be 6 digits']
-    },
-    state: { type: String, required: true, trim: true },
+    ...addressFields(),
+    addressId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Saved address it was taken from, if any
+    label: { type: String, default: '' },
   },
   // Method of payment
   paymentMethod: {
@@ -54,7 +51,75 @@ const orderSchema = new mongoose.Schema({
     required: true,
     enum: ['Cash on Delivery', 'Google Pay'], // Restricted to these two
   },
-  // Total price of the order
+  // Where the money stands. Online payments move to 'Paid' only after the provider confirms capture.
+  paymentStatus: {
+    type: String,
+    default: 'Pending',
+    enum: ['Pending', 'Paid', 'Failed', 'Refunded'],
+  },
+  // Latest online payment attempt, if any
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  // Client-supplied `Idempotency-Key` so a retried checkout request cannot create a second order
+  idempotencyKey: {
+    type: String,
+    default: undefined,
+  },
+  // Price breakdown calculated by the server at checkout. `grandTotal` equals `totalPrice`.
+  pricing: {
+    subtotal: { type: Number, min: 0, default: 0 }, // Sum of line prices
+    discount: { type: Number, min: 0, default: 0 }, // Sum of `discounts`
+    shipping: { type: Number, min: 0, default: 0 }, // Delivery charge for the address's zone
+    tax: { type: Number, min: 0, default: 0 }, // Sum of `taxLines`
+    grandTotal: { type: Number, min: 0, default: 0 },
+    // When true, subtotal and shipping already include `tax`; otherwise it was added on top
+    pricesIncludeTax: { type: Boolean, default: true },
+    shippingTax: {
+      rate: { type: Number, min: 0, default: 0 },
+      taxableValue: { type: Number, min: 0, default: 0 },
+      amount: { type: Number, min: 0, default: 0 },
+    },
+    // GST by type and rate: CGST + SGST within the seller's state, IGST for other states
+    taxLines: [
+      {
+        _id: false,
+        type: { type: String, required: true, enum: ['CGST', 'SGST', 'IGST'] },
+        rate: { type: Number, required: true, min: 0 },
+        taxableValue: { type: Number, required: true, min: 0 },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+  },
+  // Every coupon or automatic promotion applied to the order
+  discounts: [
+    {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+      code: { type: String, default: '' }, // Empty for automatic promotions
+      name: { type: String, required: true },
+      type: { type: String, required: true },
+      amount: { type: Number, required: true, min: 0 },
+    },
+  ],
+  // Refunds recorded for returned items (see utils/returns.js)
+  refunds: [
+    {
+      returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest', required: true },
+      amount: { type: Number, required: true, min: 0 },
+      method: { type: String, default: '' },
+      reference: { type: String, default: '' }, // Provider refund ID or bank transfer reference
+      refundedAt: { type: Date, default: Date.now },
+    },
+  ],
+  // Sum of `refunds`, never more than `totalPrice`
+  refundedAmount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Total price of the order (amount the customer pays)
   totalPrice: {
     type: Number,
     required: true,
@@ -74,6 +139,9 @@ const orderSchema = new mongoose.Schema({
       'Delivered & Confirmed'  
     ],
   },
+  // Delivery zone and promised date worked out at checkout (see utils/serviceability.js)
+  deliveryZone: { type: String, default: '' },
+  estimatedDeliveryDate: { type: Date, default: null },
   // Delivery timeline option selected/set for tracking
   deliveryOption: {
     type: String,
@@ -92,6 +160,24 @@ const orderSchema = new mongoose.Schema({
     default: '',
     trim: true,
   },
+  // Timeline of status, delivery option and admin message changes (see utils/orderStatus.js)
+  statusHistory: [
+    {
+      field: {
+        type: String,
+        required: true,
+        enum: ['orderStatus', 'deliveryOption', 'adminMessage'],
+      },
+      from: { type: String, default: null }, // Null for the entry created with the order
+      to: { type: String, required: true },
+      adminMessage: { type: String, default: '' }, // Admin message at the time of the change
+      changedBy: {
+        role: { type: String, required: true, enum: ['user', 'admin', 'system'] },
+        id: { type: String, default: null },
+      },
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
   // Timestamp for when the order was created
   createdAt: {
     type: Date,
@@ -112,12 +198,91 @@ const orderSchema = new mongoose.Schema({
     type: Date,
     default: null, // Null until cancelled
   },
+  // What a cancelled order still has to give back (see releaseOrderResources in utils/checkout.js).
+  // Filled in with the Cancelled status and emptied step by step, so a release that fails part-way
+  // can be finished by cancelling again.
+  pendingRelease: {
+    type: [{ type: String, enum: ['stock', 'coupons', 'payment'] }],
+    default: [],
+  },
+  // Sequential invoice number, assigned when the order is first confirmed (see utils/invoices.js)
+  invoiceNumber: {
+    type: String,
+    default: null,
+  },
+  invoicedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  // Concurrent status changes (e.g. two cancel requests) fail with a VersionError
+  // instead of silently overwriting each other and restoring stock twice
+  optimisticConcurrency: true,
 });
 
+// Date-range reports (utils/analytics.js)
+orderSchema.index({ createdAt: -1 });
+
+orderSchema.index(
+  { invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+
+orderSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Run one step of a cancelled order's release (see releaseOrderResources in utils/checkout.js).
+// The step is claimed atomically first so it never runs twice, even for concurrent callers; if
+// `work` fails it is queued again for the next attempt and the error rethrown.
+// Returns false when the step was not pending.
+orderSchema.statics.runReleaseStep = async function(orderId, step, work) {
+  const claimed = await this.updateOne({ _id: orderId, pendingRelease: step }, { $pull: { pendingRelease: step } });
+  if (claimed.modifiedCount === 0) return false;
+  try {
+    await work();
+  } catch (err) {
+    await this.updateOne({ _id: orderId }, { $addToSet: { pendingRelease: step } });
+    throw err;
+  }
+  return true;
+};
+
 // Middleware to update `updatedAt` field automatically before saving
 orderSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
+// Number the invoice on confirmation, whichever path confirms the order (staff or payment capture).
+// A save that fails after this leaves a gap in the sequence, which is allowed for invoice series.
+orderSchema.pre('save', async function() {
+  if (this.orderStatus === 'Confirmed' && this.isModified('orderStatus') && !this.invoiceNumber) {
+    this.invoicedAt = new Date();
+    this.invoiceNumber = await nextInvoiceNumber(this.invoicedAt);
+  }
+});
+
+// Number the invoice of an order confirmed before invoices were numbered
+// (scripts/backfill-invoice-numbers.js). The number is set with a conditional update, so an order
+// that has been numbered meanwhile keeps its number. Returns true when this call numbered it.
+orderSchema.statics.assignInvoiceNumber = async function(orderId) {
+  const invoicedAt = new Date();
+  const invoiceNumber = await nextInvoiceNumber(invoicedAt);
+  const result = await this.updateOne({ _id: orderId, invoiceNumber: null }, { $set: { invoiceNumber, invoicedAt } });
+  return result.modifiedCount > 0;
+};
+
+// Announce new orders and the changes queued by utils/orderStatus.js once they are stored
+orderSchema.post('save', function(order) {
+  const changes = order.$locals.pendingChanges || [];
+  const isNew = Boolean(order.$locals.wasNew);
+  order.$locals.pendingChanges = [];
+  if (isNew || changes.length > 0) {
+    publish('order.changed', { order: order.toObject(), changes, isNew });
+  }
+});
+
 module.exports = mongoose.model('Order', orderSchema);
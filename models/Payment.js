@@ -0,0 +1,62 @@
+// File: backend/models/Payment.js
+
+const mongoose = require('mongoose');
+
+// One online payment attempt for an order. An order can have several attempts
+// (e.g. a failed UPI payment followed by a retry); `Order.paymentId` points at the latest.
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  provider: { type: String, required: true },
+  providerOrderId: { type: String, required: true },
+  providerPaymentId: { type: String, default: null },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'INR' },
+  status: {
+    type: String,
+    default: 'created',
+    enum: ['created', 'authorised', 'captured', 'failed', 'refunded'],
+  },
+  // Data the storefront needs to complete the payment (e.g. UPI intent URL)
+  checkout: { type: mongoose.Schema.Types.Mixed, default: {} },
+  failureReason: { type: String, default: '' },
+  capturedAt: { type: Date, default: null },
+  refundedAmount: { type: Number, min: 0, default: 0 },
+  // Every webhook event applied to this payment; event IDs make webhook delivery idempotent
+  events: [
+    {
+      eventId: { type: String, required: true },
+      type: { type: String, required: true },
+      receivedAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  // Two deliveries of the same webhook racing each other cannot both be applied
+  optimisticConcurrency: true,
+});
+
+paymentSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+paymentSchema.index({ orderId: 1 });
+
+paymentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
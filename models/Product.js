@@ -2,18 +2,44 @@
 
 const mongoose = require('mongoose');
 
+// A purchasable size/colour combination with its own SKU and stock
+const variantSchema = new mongoose.Schema({
+  size: { type: String, default: '', trim: true },
+  color: { type: String, default: '', trim: true },
+  sku: { type: String, trim: true },
+  stock: { type: Number, required: true, min: 0, default: 0 },
+  price: { type: Number, min: 0, default: null }, // Overrides the product price/sale price when set
+  image: { type: String, default: '' },
+});
+
+// A gallery image with its generated derivatives (see utils/images.js)
+const imageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  mediumUrl: { type: String, default: '' },
+  thumbnailUrl: { type: String, default: '' },
+  storageKeys: { type: [String], default: [] }, // Keys of every stored derivative, used for deletion
+  position: { type: Number, default: 0 },
+  isPrimary: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   description: { type: String, required: true, trim: true },
   moreDescription: { type: [String], default: [] }, // New field for detailed description as bullet points
   price: { type: Number, required: true, min: 0 },
   salePrice: { type: Number, min: 0, default: null },
-  category: { type: String, required: true, trim: true },
+  category: { type: String, required: true, trim: true }, // Name of `categoryId`, kept for filtering, promotions and reports
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // Null until migrated (scripts/migrate-categories.js)
   size: { type: [String], default: [] },
   colors: { type: [String], default: [] },
-  image: { type: String },
+  image: { type: String }, // Primary image URL; mirrors the primary entry of `images` when there is a gallery
+  images: { type: [imageSchema], default: [] },
 
   stock: { type: Number, required: true, min: 0, default: 0 },
+  // Stock level (per variant, for products with variants) at which the item shows up as low stock.
+  // Null uses DEFAULT_REORDER_THRESHOLD (see utils/inventory.js).
+  reorderThreshold: { type: Number, min: 0, default: null },
   sku: { type: String, unique: true, sparse: true, trim: true },
   
   brand: { type: String, trim: true },
@@ -28,6 +54,23 @@ const productSchema = new mongoose.Schema({
 
   tags: { type: [String], default: [] },
 
+  // Published reviews, kept up to date by utils/reviews.js (refreshRatingSummary).
+  // `histogram` counts reviews per star rating.
+  ratingSummary: {
+    average: { type: Number, default: 0 }, // Rounded to one decimal place
+    count: { type: Number, default: 0 },
+    histogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+  },
+
+  // When present, stock is tracked per variant and `stock`, `size` and `colors` are derived from them
+  variants: { type: [variantSchema], default: [] },
+
   createdAt: {
     type: Date,
     default: Date.now,
@@ -38,6 +81,33 @@ const productSchema = new mongoose.Schema({
   },
 });
 
+// Support catalogue filtering and the default "newest first" sort
+productSchema.index({ category: 1 });
+productSchema.index({ categoryId: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ 'ratingSummary.average': -1, 'ratingSummary.count': -1 });
+
+// Keep the product-level summary fields in step with the variants
+productSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+    this.size = [...new Set(this.variants.map(variant => variant.size).filter(Boolean))];
+    this.colors = [...new Set(this.variants.map(variant => variant.color).filter(Boolean))];
+  }
+
+  // Keep the gallery ordered with exactly one primary image, mirrored into `image`
+  if (this.images && this.images.length > 0) {
+    this.images.sort((a, b) => a.position - b.position);
+    const primary = this.images.find(image => image.isPrimary) || this.images[0];
+    this.images.forEach((image, index) => {
+      image.position = index;
+      image.isPrimary = image === primary;
+    });
+    this.image = primary.url;
+  }
+  next();
+});
+
 productSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
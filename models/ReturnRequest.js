@@ -0,0 +1,120 @@
+// File: backend/models/ReturnRequest.js
+
+const mongoose = require('mongoose');
+
+// A customer's request to return or exchange some line items of a delivered order.
+// Status flow is defined in utils/returns.js.
+const returnRequestSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['return', 'exchange'],
+  },
+  // Line items being sent back, copied from the order at request time
+  items: [
+    {
+      lineItemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order.products[]._id
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      name: { type: String, required: true },
+      size: { type: String, default: '' },
+      color: { type: String, default: '' },
+      unitPrice: { type: Number, required: true, min: 0 },
+      quantity: { type: Number, required: true, min: 1 },
+      // Replacement wanted for exchanges
+      exchangeVariantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      exchangeSize: { type: String, default: '' },
+      exchangeColor: { type: String, default: '' },
+    },
+  ],
+  reason: {
+    type: String,
+    required: [true, 'Please tell us why you are returning these items'],
+    trim: true,
+    maxlength: 1000,
+  },
+  photos: [
+    {
+      url: { type: String, required: true },
+      mediumUrl: { type: String, default: '' },
+      thumbnailUrl: { type: String, default: '' },
+      storageKeys: { type: [String], default: [] },
+    },
+  ],
+  status: {
+    type: String,
+    default: 'Requested',
+    enum: [
+      'Requested',
+      'Approved',
+      'Rejected',
+      'Pickup Scheduled',
+      'Picked Up',
+      'Received',
+      'Refunded',
+      'Exchanged',
+    ],
+  },
+  // Latest note from staff to the customer (e.g. rejection reason)
+  adminNote: { type: String, default: '', trim: true },
+  pickup: {
+    courier: { type: String, default: '', trim: true },
+    trackingNumber: { type: String, default: '', trim: true },
+    scheduledFor: { type: Date, default: null },
+    pickedUpAt: { type: Date, default: null },
+  },
+  restocked: { type: Boolean, default: false },
+  refund: {
+    amount: { type: Number, min: 0, default: 0 },
+    method: { type: String, default: '', trim: true }, // e.g. 'Original payment', 'Bank transfer'
+    reference: { type: String, default: '', trim: true },
+    refundedAt: { type: Date, default: null },
+  },
+  // Shipment of the replacement for exchanges
+  replacement: {
+    trackingNumber: { type: String, default: '', trim: true },
+    shippedAt: { type: Date, default: null },
+  },
+  history: [
+    {
+      from: { type: String, default: null },
+      to: { type: String, required: true },
+      note: { type: String, default: '' },
+      changedBy: {
+        role: { type: String, required: true, enum: ['user', 'admin', 'system'] },
+        id: { type: String, default: null },
+      },
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  optimisticConcurrency: true,
+});
+
+returnRequestSchema.index({ orderId: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+returnRequestSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
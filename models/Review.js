@@ -2,6 +2,10 @@
 
 const mongoose = require('mongoose');
 
+// Moderation states. Pending, hidden and flagged (reported) reviews are not shown to shoppers
+// (see utils/reviews.js).
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden', 'flagged'];
+
 const reviewSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -24,12 +28,70 @@ const reviewSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000,
   },
+  // Customer photos with their generated derivatives (see utils/images.js)
+  images: [
+    {
+      url: { type: String, required: true },
+      mediumUrl: { type: String, default: '' },
+      thumbnailUrl: { type: String, default: '' },
+      storageKeys: { type: [String], default: [] },
+    },
+  ],
+  status: {
+    type: String,
+    enum: {
+      values: REVIEW_STATUSES,
+      message: props => `${props.value} is not a valid review status!`
+    },
+    default: 'approved',
+  },
+  // Last staff decision on the review
+  moderation: {
+    note: { type: String, default: '', trim: true, maxlength: 500 },
+    moderatedBy: { type: String, default: null }, // Admin ID
+    moderatedAt: { type: Date, default: null },
+  },
+  // Reports from shoppers; the first one flags an approved review for staff to look at
+  reports: [
+    {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      reason: { type: String, default: '', trim: true, maxlength: 500 },
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
+  // One vote per shopper; the counts mirror `votes` for sorting
+  votes: [
+    {
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      helpful: { type: Boolean, required: true },
+    },
+  ],
+  helpfulCount: { type: Number, default: 0 },
+  notHelpfulCount: { type: Number, default: 0 },
+  editedAt: { type: Date, default: null }, // Last time the author changed the rating, text or photos
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  // Votes and moderation can land on the same review at once
+  optimisticConcurrency: true,
 });
 
 reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+reviewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
 
 module.exports = mongoose.model('Review', reviewSchema);
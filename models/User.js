@@ -2,6 +2,15 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
+const { addressFields } = require('./addressFields');
+
+// A named delivery address in the user's address book
+const savedAddressSchema = new mongoose.Schema({
+  label: { type: String, required: [true, 'Address label is required'], trim: true, maxlength: 40 }, // e.g. 'Home'
+  ...addressFields(),
+  isDefault: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -33,6 +42,29 @@ const userSchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid 10-digit mobile number!`
     },
   },
+  // Set once the customer has entered the code texted to `mobileNumber` (see utils/otp.js)
+  mobileVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Optional; order notifications are emailed here when set
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: undefined,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address'],
+  },
+  // Address book; at most one entry has isDefault set (see utils/addresses.js)
+  addresses: {
+    type: [savedAddressSchema],
+    default: [],
+  },
+  // Refresh tokens issued before this are rejected, so a password change signs out other devices
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -44,6 +76,7 @@ userSchema.pre('save', async function(next) {
   if (this.isModified('password')) {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
   }
   next();
 });
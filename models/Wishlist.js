@@ -0,0 +1,40 @@
+// File: backend/models/Wishlist.js
+
+const mongoose = require('mongoose');
+
+// One wishlist per user. Items keep the size/colour the customer had in mind, if any.
+const wishlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  items: [
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+      },
+      size: { type: String, default: '', trim: true },
+      color: { type: String, default: '', trim: true },
+      addedAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+wishlistSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
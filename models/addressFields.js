@@ -0,0 +1,34 @@
+// File: backend/models/addressFields.js
+
+// Field definitions for a delivery address, shared by Order.shippingAddress and the
+// address book on User so both validate the same way. A function so each schema gets its own copy.
+const addressFields = () => ({
+  personName: { type: String, required: true, trim: true },
+  mobileNumber: {
+    type: String,
+    required: [true, 'Mobile number is required for shipping'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^\d{10}$/.test(v); // Ensures 10 digits
+      },
+      message: props => `${props.value} is not a valid 10-digit mobile number!`
+    },
+  },
+  address: { type: String, required: true, trim: true },
+  pincode: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  },
+  state: { type: String, required: true, trim: true },
+});
+
+// Names of the fields above, for copying an address between documents
+const ADDRESS_FIELD_NAMES = Object.keys(addressFields());
+
+module.exports = {
+  addressFields,
+  ADDRESS_FIELD_NAMES,
+};
@@ -0,0 +1,38 @@
+// File: backend/scripts/backfill-invoice-numbers.js
+
+// Gives an invoice number to every order confirmed before invoices were numbered, oldest order
+// first. Orders that already have a number are left alone, so it is safe to run again.
+// Run once after deploying invoice numbering; until then those orders have no invoice to download:
+//
+//   npm run invoices:backfill
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const Order = require('../models/Order');
+const { INVOICED_STATUSES } = require('../utils/orderStatus');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const cursor = Order.find({ invoiceNumber: null, orderStatus: { $in: INVOICED_STATUSES } })
+      .select('_id')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
+    let numbered = 0;
+    for await (const order of cursor) {
+      if (await Order.assignInvoiceNumber(order._id)) numbered += 1;
+    }
+    console.log(`✅ Numbered the invoices of ${numbered} order(s).`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to backfill invoice numbers:', err);
+  process.exit(1);
+});
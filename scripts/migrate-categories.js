@@ -0,0 +1,62 @@
+// File: backend/scripts/migrate-categories.js
+
+// Creates Category documents from the free-text categories already on products and links each
+// product to its category. Safe to run again: products that already have a category ID are skipped.
+//
+//   npm run categories:migrate -- --dry-run
+//   npm run categories:migrate -- --aliases=category-aliases.json
+//
+// The optional aliases file maps a product category to the one it should be merged into,
+// e.g. { "Footwear": "Shoes", "Tees": "T-Shirts" }. New categories are created at the top level;
+// arrange them into a tree afterwards from the admin category screens.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const { migrateCategoryStrings } = require('../utils/categories');
+
+const readAliases = (args) => {
+  const option = args.find(arg => arg.startsWith('--aliases='));
+  if (!option) return {};
+  const file = path.resolve(option.slice('--aliases='.length));
+  const aliases = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    throw new Error(`${file} must contain a JSON object of { "category": "target category" }.`);
+  }
+  return aliases;
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const aliases = readAliases(args);
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const { categories, skipped } = await migrateCategoryStrings({ aliases, dryRun });
+    categories.forEach((category) => {
+      const action = category.created ? (dryRun ? 'would create' : 'created') : 'existing';
+      console.log(`${category.name} (${category.slug}, ${action}): ${category.products} product(s) from ${category.sources.map(source => JSON.stringify(source)).join(', ')}`);
+    });
+    skipped.forEach(({ category, products }) => {
+      console.log(`⚠️ Skipped ${products} product(s) with unusable category ${JSON.stringify(category)}`);
+    });
+
+    const created = categories.filter(category => category.created).length;
+    const products = categories.reduce((sum, category) => sum + category.products, 0);
+    console.log(dryRun
+      ? `✅ Dry run: would create ${created} category(ies) and link ${products} product(s).`
+      : `✅ Created ${created} category(ies) and linked ${products} product(s).`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to migrate categories:', err);
+  process.exit(1);
+});
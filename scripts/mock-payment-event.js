@@ -0,0 +1,52 @@
+// File: backend/scripts/mock-payment-event.js
+
+// Sends a signed webhook to the local server as if the mock payment provider had sent it.
+//
+//   node scripts/mock-payment-event.js <providerOrderId> <type> [amount]
+//
+// <type> is payment.authorized, payment.captured, payment.failed or refund.processed.
+// The provider order ID and amount are in the `payment` returned when the order was placed.
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const createMockProvider = require('../services/payments/mockProvider');
+
+async function main() {
+  const [providerOrderId, type, amount] = process.argv.slice(2);
+  if (!providerOrderId || !type) {
+    console.error('Usage: node scripts/mock-payment-event.js <providerOrderId> <type> [amount]');
+    process.exit(1);
+  }
+
+  const provider = createMockProvider();
+  const body = JSON.stringify({
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    data: {
+      providerOrderId,
+      providerPaymentId: `mock_pay_${providerOrderId}`,
+      amount: amount === undefined ? undefined : Number(amount),
+      reason: type === 'payment.failed' ? 'Declined by mock provider' : undefined,
+    },
+  });
+
+  const baseUrl = process.env.API_URL || 'http://localhost:3001';
+  const response = await fetch(`${baseUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Payment-Signature': provider.sign(body),
+    },
+    body,
+  });
+
+  console.log(response.status, await response.text());
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to send mock payment event:', err);
+  process.exit(1);
+});
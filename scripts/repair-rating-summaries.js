@@ -0,0 +1,28 @@
+// File: backend/scripts/repair-rating-summaries.js
+
+// Recomputes Product.ratingSummary for every product from its published reviews.
+// Run after importing reviews or if summaries have drifted:
+//
+//   npm run reviews:repair-ratings
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const { repairRatingSummaries } = require('../utils/reviews');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const { products, updated } = await repairRatingSummaries();
+    console.log(`✅ Checked ${products} product(s); corrected ${updated} rating summary(ies).`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to repair rating summaries:', err);
+  process.exit(1);
+});
@@ -4,14 +4,39 @@ const express = require('express');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const cors = require('cors');
-const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
 const bcrypt = require('bcryptjs');
 
-// Load environment variables from .env file
+// Load environment variables from .env file. Must run before any local module is required,
+// since several of them read their settings from process.env when they are loaded.
 dotenv.config();
 
+const HttpError = require('./utils/httpError');
+const sendError = require('./utils/sendError');
+const { getAvailableStock, matchOption, resolveSelection, describeSavedItems, quoteOrder, placeOrder, findOrderByIdempotencyKey, releaseOrderResources } = require('./utils/checkout');
+const { requiresOnlinePayment, paymentResponse, startPayment, handlePaymentEvent } = require('./utils/payments');
+const paymentProvider = require('./services/payments');
+const { buildCatalogPipeline } = require('./utils/catalogQuery');
+const { slugify, categoryFilterIds, productCounts, buildCategoryTree, assertValidParent, renameCategoryReferences } = require('./utils/categories');
+const { parseNumberOrDefault, parseIntOrDefault, ensureArray, parseProductInput, validateProductInput, applyProductInput } = require('./utils/productInput');
+const { recordStockEdits, saveProductEdit, adjustStock, reconcileInventory, findLowStock } = require('./utils/inventory');
+const { acceptImportFile, parseImportFile, importProducts, streamProducts } = require('./utils/productImport');
+const { INVOICED_STATUSES, applyOrderChange } = require('./utils/orderStatus');
+const { REPORT_TIMEZONE, REPORT_COLUMNS, parseReportRange, salesSummary, revenueByPeriod, bestSellers, salesByCategory, salesByState, lowRatedProducts } = require('./utils/analytics');
+const { toCsv } = require('./utils/csv');
+const { notifyOrderChange } = require('./utils/notifications');
+const { subscribe } = require('./services/events');
+const { openOrderStream } = require('./utils/orderStream');
+const { issueCode, verifyCode } = require('./utils/otp');
+const { MAX_SAVED_ADDRESSES, pickAddress, setDefaultAddress, assertUniqueLabel, resolveShippingAddress } = require('./utils/addresses');
+const { loadServiceability, checkServiceability } = require('./utils/serviceability');
+const { writeInvoicePdf, writePackingSlipsPdf } = require('./utils/orderDocuments');
+const { loadTaxRates } = require('./utils/tax');
+const { REVIEWS_REQUIRE_APPROVAL, VISIBLE_REVIEW_FILTER, MODERATION_STATUSES, MAX_REVIEW_IMAGES, REVIEW_SORTS, isVisibleReview, statusAfterAuthorChange, applyVote, formatReview, refreshRatingSummary, repairRatingSummaries } = require('./utils/reviews');
+const { RETURN_WINDOW_DAYS, assertOrderReturnable, buildReturnItems, suggestedRefundAmount, applyReturnStatus, receiveReturn, refundReturn, completeExchange } = require('./utils/returns');
+const { acceptImages, uploadedFiles, processImages, deleteImages } = require('./utils/images');
+const storage = require('./services/storage');
+const { generateTokens, verifyToken, requireAuth, optionalAuth, allowQueryToken, requireRole, requireAdmin, isSelfOrAdmin } = require('./middleware/auth');
+
 // Initialize Express application
 const app = express();
 
@@ -19,167 +44,129 @@ const app = express();
 app.use(cors({
   origin: ['http://localhost:5173', 'http://localhost:5174'],
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
   credentials: true
 }));
 
-app.use(express.json()); // For parsing application/json
+// For parsing application/json; the raw bytes are kept for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true })); // For parsing application/x-www-form-urlencoded
 
-app.use('/uploads', express.static('uploads'));
-
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
-  console.log('📦 Created "uploads" directory.');
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Serves uploaded files when the storage driver keeps them locally (see services/storage)
+storage.mount(app);
 
-const upload = multer({ storage: storage });
+// `image` replaces the primary image, `images` adds to the gallery
+const productImageFields = [{ name: 'image', maxCount: 1 }, { name: 'images', maxCount: 10 }];
 
 // --- MongoDB Connection ---
 async function connectDbAndStartServer() {
   try {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET must be set to sign session tokens.');
+    }
+    // Fail at startup rather than at checkout if the delivery zone or tax rate tables are broken
+    loadServiceability();
+    loadTaxRates();
+
     await mongoose.connect(process.env.MONGO_URI);
     console.log('✅ MongoDB connected successfully to dhruvDB');
 
     const Product = require('./models/Product');
+    const Category = require('./models/Category');
     const User = require('./models/User');
     const Order = require('./models/Order');
     const Review = require('./models/Review');
-
-    // --- Helper function for robust number parsing ---
-    const parseNumberOrDefault = (value, defaultVal = 0) => {
-        const parsed = parseFloat(value);
-        return isNaN(parsed) ? defaultVal : parsed;
-    };
-    const parseIntOrDefault = (value, defaultVal = 0) => {
-        const parsed = parseInt(value);
-        return isNaN(parsed) ? defaultVal : parsed;
-    };
-    // Helper for 'moreDescription' which comes as a single string with newlines
-    const parseMoreDescription = (text) => {
-        if (!text || typeof text !== 'string') return [];
-        return text.split('\n').map(line => line.trim()).filter(line => line !== '');
+    const Admin = require('./models/Admin');
+    const Cart = require('./models/Cart');
+    const Wishlist = require('./models/Wishlist');
+    const Coupon = require('./models/Coupon');
+    const Payment = require('./models/Payment');
+    const ReturnRequest = require('./models/ReturnRequest');
+    const InventoryMovement = require('./models/InventoryMovement');
+    const Notification = require('./models/Notification');
+
+    await Admin.bootstrapOwner();
+
+    // Give products from before rating summaries theirs. Runs in the background: until it
+    // finishes those products read as unrated, and `npm run reviews:repair-ratings` does the same job.
+    repairRatingSummaries({ missingOnly: true })
+      .then(({ updated }) => {
+        if (updated > 0) console.log(`✅ Filled in rating summaries for ${updated} product(s)`);
+      })
+      .catch(err => console.error('❌ Failed to fill in missing rating summaries:', err));
+
+    // Tell customers about their orders (in-app inbox, SMS, email)
+    subscribe('order.changed', notifyOrderChange);
+
+    // --- Product gallery helpers ---
+
+    // Products created before galleries only have `image`; bring it into `images` before editing the gallery
+    const adoptLegacyImage = (product) => {
+      if (product.images.length === 0 && product.image) {
+        product.images.push({ url: product.image, position: 0, isPrimary: true });
+      }
     };
 
-    // --- NEW: Universal array parsing for Multer req.body fields ---
-    // Multer sometimes makes FormData arrays appear as direct array properties in req.body.
-    // Or if only one item is selected, it might come as a string.
-    const ensureArray = (value) => {
-      if (Array.isArray(value)) {
-        return value.map(item => String(item).trim()).filter(item => item !== '');
-      }
-      if (typeof value === 'string') {
-        return value.split(',').map(item => item.trim()).filter(item => item !== '');
+    // Add processed uploads to the product. With `replacePrimary` the first one becomes the new
+    // primary image and the old primary is detached; its files are returned for deletion after saving.
+    const addProductImages = (product, processed, { replacePrimary = false } = {}) => {
+      adoptLegacyImage(product);
+      const detached = [];
+      let toAdd = processed;
+
+      if (replacePrimary && processed.length > 0) {
+        const oldPrimary = product.images.find(image => image.isPrimary);
+        if (oldPrimary) {
+          detached.push(oldPrimary.toObject());
+          oldPrimary.deleteOne();
+        }
+        product.images.forEach(image => { image.isPrimary = false; });
+        product.images.push({ ...processed[0], position: -1, isPrimary: true });
+        toAdd = processed.slice(1);
       }
-      return [];
-    };
 
+      toAdd.forEach((image, index) => {
+        product.images.push({ ...image, position: product.images.length + index, isPrimary: false });
+      });
+      return detached;
+    };
 
     // --- API Routes for Products ---
 
     // POST /api/products: Add a new product
-    app.post('/api/products', upload.single('image'), async (req, res) => {
+    app.post('/api/products', requireAdmin('catalog-editor'), acceptImages(productImageFields), async (req, res) => {
+      let newImages = [];
       try {
         console.log('--- SERVER: POST /api/products Request Received ---');
         console.log('SERVER: Raw req.body (before custom parsing):', req.body);
-        console.log('SERVER: Raw req.file:', req.file);
-
-        const {
-          name, description, moreDescription, price, salePrice, category,
-          stock, sku, brand, material, weight, length, width, height
-        } = req.body;
-
-        const imagePath = req.file ? `/uploads/${req.file.filename}` : '';
-
-        const parsedPrice = parseNumberOrDefault(price);
-        const parsedSalePrice = (salePrice === '' || salePrice === 'null' || salePrice === undefined) ? null : parseNumberOrDefault(salePrice, null);
-        const parsedStock = parseIntOrDefault(stock);
-        const parsedWeight = parseNumberOrDefault(weight);
-        const parsedLength = parseNumberOrDefault(length);
-        const parsedWidth = parseNumberOrDefault(width);
-        const parsedHeight = parseNumberOrDefault(height);
-
-        // --- Crucial change here: Directly access req.body.colors/size and ensure they are arrays ---
-        const colors = ensureArray(req.body.colors); // Multer should make this an array if multiple `colors[]` were sent
-        const size = ensureArray(req.body.size);     // Multer should make this an array if multiple `size[]` were sent
-        const productTags = ensureArray(req.body.tags);
-        const parsedMoreDescription = parseMoreDescription(moreDescription);
-
-        console.log('SERVER: Parsed Data - Name:', name, 'Description:', description);
-        console.log('SERVER: Parsed Data - Price:', parsedPrice, 'SalePrice:', parsedSalePrice, 'Stock:', parsedStock);
-        console.log('SERVER: Parsed Data - Colors:', colors, 'Type:', typeof colors, 'Is Array:', Array.isArray(colors));
-        console.log('SERVER: Parsed Data - Size:', size, 'Type:', typeof size, 'Is Array:', Array.isArray(size));
-        console.log('SERVER: Parsed Data - More Description:', parsedMoreDescription);
-        console.log('SERVER: Parsed Data - Tags:', productTags);
-        console.log('----------------------------------------------------');
+        console.log('SERVER: Raw req.files:', Object.keys(req.files || {}));
 
+        const input = parseProductInput(req.body);
+        console.log('SERVER: Parsed Data:', input.fields);
+        console.log('----------------------------------------------------');
 
-        // Server-side validation
-        if (parsedSalePrice !== null && parsedSalePrice >= parsedPrice) {
-          return res.status(400).json({ message: 'Sale price must be less than the regular price.' });
+        // Server-side validation (same rules as the bulk import)
+        const [validationError] = await validateProductInput(input);
+        if (validationError) {
+          return res.status(400).json({ message: validationError });
         }
-        if (sku) {
-          const existingProduct = await Product.findOne({ sku: sku });
-          if (existingProduct) {
-            return res.status(400).json({ message: 'Product with this SKU already exists.' });
-          }
-        }
-        if (isNaN(parsedPrice) || parsedPrice <= 0) {
-            return res.status(400).json({ message: 'Price must be a positive number.' });
-        }
-        if (isNaN(parsedStock) || parsedStock < 0) {
-            return res.status(400).json({ message: 'Stock must be a non-negative number.' });
-        }
-        if (!name || !name.trim()) {
-            return res.status(400).json({ message: 'Product Name is required.' });
-        }
-        if (!description || !description.trim()) {
-            return res.status(400).json({ message: 'Description is required.' });
-        }
-        if (!category || !category.trim()) {
-            return res.status(400).json({ message: 'Category is required.' });
-        }
-        // End server-side validation
-
-        const newProduct = new Product({
-          name,
-          description,
-          moreDescription: parsedMoreDescription,
-          price: parsedPrice,
-          salePrice: parsedSalePrice,
-          category,
-          size, // Use the directly parsed 'size' array
-          colors, // Use the directly parsed 'colors' array
-          image: imagePath,
-          stock: parsedStock,
-          sku: sku || undefined,
-          brand: brand || '',
-          material: material || '',
-          weight: parsedWeight,
-          dimensions: {
-            length: parsedLength,
-            width: parsedWidth,
-            height: parsedHeight,
-          },
-          tags: productTags,
-        });
+
+        const newProduct = new Product(input.fields);
+
+        // The `image` upload (if any) comes first so it becomes the primary image
+        newImages = await processImages([...uploadedFiles(req, 'image'), ...uploadedFiles(req, 'images')], 'product');
+        addProductImages(newProduct, newImages);
 
         await newProduct.save();
+        await recordStockEdits(new Map(), newProduct, { actor: req.auth, reason: 'Opening stock' });
         res.status(201).json({ message: '✅ Product added successfully!', product: newProduct });
 
       } catch (err) {
         console.error('❌ Server: Error adding product:', err);
+        await deleteImages(newImages);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
         if (err.name === 'ValidationError') {
           const messages = Object.values(err.errors).map(val => val.message);
           return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
@@ -188,43 +175,38 @@ async function connectDbAndStartServer() {
       }
     });
 
-    // GET /api/products: Fetch all products with ratings
+    // GET /api/products: Search, filter and sort the catalogue with ratings. Returns an array of products,
+    // or { products, pagination } with ?paginate=true (see utils/catalogQuery.js for the query parameters)
     app.get('/api/products', async (req, res) => {
       try {
-        const products = await Product.find({});
-        const allReviews = await Review.find({});
-        const productReviewsMap = new Map();
+        const categoryIds = req.query.categoryId ? await categoryFilterIds(req.query.categoryId) : undefined;
+        const { pipeline, paginate, page, limit } = buildCatalogPipeline(req.query, { categoryIds });
+        if (!paginate) {
+          return res.status(200).json(await Product.aggregate(pipeline));
+        }
 
-        allReviews.forEach(review => {
-          const productId = review.productId.toString();
-          if (!productReviewsMap.has(productId)) {
-            productReviewsMap.set(productId, []);
-          }
-          productReviewsMap.get(productId).push(review);
-        });
+        const [result] = await Product.aggregate(pipeline);
+        const total = result.total.length ? result.total[0].count : 0;
 
-        const productsWithRatings = products.map(product => {
-          const productObj = product.toObject();
-          const reviewsForProduct = productReviewsMap.get(product._id.toString()) || [];
-          const reviewCount = reviewsForProduct.length;
-          const totalRating = reviewsForProduct.reduce((sum, review) => sum + review.rating, 0);
-          const averageRating = reviewCount > 0 ? (totalRating / reviewCount) : 0;
-
-          return {
-            ...productObj,
-            averageRating: parseFloat(averageRating.toFixed(1)),
-            reviewCount: reviewCount,
-          };
+        res.status(200).json({
+          products: result.products,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
         });
-
-        res.status(200).json(productsWithRatings);
       } catch (err) {
         console.error('❌ Error fetching products:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
         res.status(500).json({ message: '❌ Failed to fetch products', error: err.message });
       }
     });
 
-    // GET /api/products/:id: Fetch a single product by ID with all reviews
+    // GET /api/products/:id: Fetch a single product by ID with its published reviews and rating summary
     app.get('/api/products/:id', async (req, res) => {
         try {
             const { id } = req.params;
@@ -237,23 +219,13 @@ async function connectDbAndStartServer() {
                 return res.status(404).json({ message: 'Product not found' });
             }
 
-            const reviews = await Review.find({ productId: id }).populate('userId', 'username');
-            const reviewCount = reviews.length;
-            const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
-            const averageRating = reviewCount > 0 ? (totalRating / reviewCount) : 0;
+            const reviews = await Review.find({ productId: id, ...VISIBLE_REVIEW_FILTER }).populate('userId', 'username');
 
             const productWithReviews = {
               ...product.toObject(),
-              averageRating: parseFloat(averageRating.toFixed(1)),
-              reviewCount: reviewCount,
-              reviews: reviews.map(review => ({
-                _id: review._id,
-                userId: review.userId ? review.userId._id : null,
-                username: review.userId ? review.userId.username : 'Deleted User',
-                rating: review.rating,
-                comment: review.comment,
-                createdAt: review.createdAt,
-              })),
+              averageRating: product.ratingSummary.average,
+              reviewCount: product.ratingSummary.count,
+              reviews: reviews.map(review => formatReview(review)),
             };
 
             res.status(200).json(productWithReviews);
@@ -267,108 +239,50 @@ async function connectDbAndStartServer() {
     });
 
     // PUT /api/products/:id: Update a product by ID
-    app.put('/api/products/:id', upload.single('image'), async (req, res) => {
+    app.put('/api/products/:id', requireAdmin('catalog-editor'), acceptImages(productImageFields), async (req, res) => {
+      let newImages = [];
       try {
         console.log('--- SERVER: PUT /api/products/:id Request Received ---');
         console.log('SERVER: Raw req.body (before custom parsing):', req.body);
-        console.log('SERVER: Raw req.file:', req.file);
+        console.log('SERVER: Raw req.files:', Object.keys(req.files || {}));
 
         const { id } = req.params;
-        const {
-          name, description, moreDescription, price, salePrice, category,
-          stock, sku, brand, material, weight, length, width, height
-        } = req.body;
 
         const product = await Product.findById(id);
         if (!product) {
           return res.status(404).json({ message: 'Product not found' });
         }
 
-        const parsedPrice = parseNumberOrDefault(price);
-        const parsedSalePrice = (salePrice === '' || salePrice === 'null' || salePrice === undefined) ? null : parseNumberOrDefault(salePrice, null);
-        const parsedStock = parseIntOrDefault(stock);
-        const parsedWeight = parseNumberOrDefault(weight);
-        const parsedLength = parseNumberOrDefault(length);
-        const parsedWidth = parseNumberOrDefault(width);
-        const parsedHeight = parseNumberOrDefault(height);
-
-        // --- Crucial change here: Directly access req.body.colors/size and ensure they are arrays ---
-        const colors = ensureArray(req.body.colors);
-        const size = ensureArray(req.body.size);
-        const productTags = ensureArray(req.body.tags);
-        const parsedMoreDescription = parseMoreDescription(moreDescription);
-
-        console.log('SERVER: Parsed Data (Update) - Name:', name, 'Description:', description);
-        console.log('SERVER: Parsed Data (Update) - Price:', parsedPrice, 'SalePrice:', parsedSalePrice, 'Stock:', parsedStock);
-        console.log('SERVER: Parsed Data (Update) - Colors:', colors, 'Type:', typeof colors, 'Is Array:', Array.isArray(colors));
-        console.log('SERVER: Parsed Data (Update) - Size:', size, 'Type:', typeof size, 'Is Array:', Array.isArray(size));
-        console.log('SERVER: Parsed Data (Update) - More Description:', parsedMoreDescription);
-        console.log('SERVER: Parsed Data (Update) - Tags:', productTags);
+        const input = parseProductInput(req.body);
+        console.log('SERVER: Parsed Data (Update):', input.fields);
         console.log('----------------------------------------------------');
 
-        // Server-side validation
-        if (parsedSalePrice !== null && parsedSalePrice >= parsedPrice) {
-          return res.status(400).json({ message: 'Sale price must be less than the regular price.' });
-        }
-        if (sku && product.sku !== sku) {
-          const existingProduct = await Product.findOne({ sku: sku });
-          if (existingProduct) {
-            return res.status(400).json({ message: 'Product with this SKU already exists.' });
-          }
-        }
-        if (isNaN(parsedPrice) || parsedPrice <= 0) {
-            return res.status(400).json({ message: 'Price must be a positive number.' });
+        // Server-side validation (same rules as the bulk import)
+        const [validationError] = await validateProductInput(input, { product });
+        if (validationError) {
+          return res.status(400).json({ message: validationError });
         }
-        if (isNaN(parsedStock) || parsedStock < 0) {
-            return res.status(400).json({ message: 'Stock must be a non-negative number.' });
-        }
-        if (!name || !name.trim()) {
-            return res.status(400).json({ message: 'Product Name is required.' });
-        }
-        if (!description || !description.trim()) {
-            return res.status(400).json({ message: 'Description is required.' });
-        }
-        if (!category || !category.trim()) {
-            return res.status(400).json({ message: 'Category is required.' });
-        }
-        // End server-side validation
 
-        if (req.file) {
-          if (product.image) {
-            const oldImagePath = path.join(__dirname, product.image);
-            if (fs.existsSync(oldImagePath)) {
-              fs.unlinkSync(oldImagePath);
-              console.log(`🗑️ Old image deleted: ${oldImagePath}`);
-            }
-          }
-          product.image = `/uploads/${req.file.filename}`;
-        }
-
-        product.name = name;
-        product.description = description;
-        product.moreDescription = parsedMoreDescription;
-        product.price = parsedPrice;
-        product.salePrice = parsedSalePrice;
-        product.category = category;
-        product.size = size; // Use the directly parsed 'size' array
-        product.colors = colors; // Use the directly parsed 'colors' array
-        product.stock = parsedStock;
-        product.sku = sku || undefined;
-        product.brand = brand || '';
-        product.material = material || '';
-        product.weight = parsedWeight;
-        product.dimensions = {
-          length: parsedLength,
-          width: parsedWidth,
-          height: parsedHeight,
-        };
-        product.tags = productTags;
+        // A new `image` replaces the primary image; `images` are added to the gallery
+        const primaryUpload = uploadedFiles(req, 'image');
+        newImages = await processImages([...primaryUpload, ...uploadedFiles(req, 'images')], 'product');
 
-        await product.save();
-        res.status(200).json({ message: '✅ Product updated successfully!', product });
+        // Stock in the form is applied as a change from `loadedStock`, so sales made meanwhile are not overwritten
+        let replacedImages = [];
+        const { product: updated, stockBefore } = await saveProductEdit(product, (current) => {
+          replacedImages = addProductImages(current, newImages, { replacePrimary: primaryUpload.length > 0 });
+          applyProductInput(current, input);
+        }, { loadedStock: input.loadedStock });
+        await recordStockEdits(stockBefore, updated, { actor: req.auth, reason: 'Stock edited in product form' });
+        await deleteImages(replacedImages);
+        res.status(200).json({ message: '✅ Product updated successfully!', product: updated });
 
       } catch (err) {
         console.error('❌ Server: Error updating product:', err);
+        await deleteImages(newImages);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
         if (err.name === 'ValidationError') {
           const messages = Object.values(err.errors).map(val => val.message);
           return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
@@ -382,7 +296,7 @@ async function connectDbAndStartServer() {
 
 
     // DELETE /api/products/:id: Delete a product by ID
-    app.delete('/api/products/:id', async (req, res) => {
+    app.delete('/api/products/:id', requireAdmin('catalog-editor'), async (req, res) => {
       try {
         const { id } = req.params;
         const product = await Product.findByIdAndDelete(id);
@@ -391,15 +305,13 @@ async function connectDbAndStartServer() {
           return res.status(404).json({ message: 'Product not found' });
         }
 
-        if (product.image) {
-          const imagePathToDelete = path.join(__dirname, product.image);
-          if (fs.existsSync(imagePathToDelete)) {
-            fs.unlinkSync(imagePathToDelete);
-            console.log(`🗑️ Image deleted: ${imagePathToDelete}`);
-          }
-        }
+        adoptLegacyImage(product);
+        await deleteImages(product.images);
 
+        // The rating summary went with the product, so there is nothing to recount here
+        const reviewImages = (await Review.find({ productId: id }).select('images')).flatMap(review => review.images);
         await Review.deleteMany({ productId: id });
+        await deleteImages(reviewImages);
         console.log(`🗑️ Reviews deleted for product ${id}`);
 
         res.status(200).json({ message: '✅ Product deleted successfully!' });
@@ -413,10 +325,382 @@ async function connectDbAndStartServer() {
       }
     });
 
+    // POST /api/products/:id/images: Add images to a product's gallery
+    app.post('/api/products/:id/images', requireAdmin('catalog-editor'), acceptImages([{ name: 'images', maxCount: 10 }]), async (req, res) => {
+      let newImages = [];
+      try {
+        const { id } = req.params;
+        const product = await Product.findById(id);
+        if (!product) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const files = uploadedFiles(req, 'images');
+        if (files.length === 0) {
+          return res.status(400).json({ message: 'Please attach at least one image.' });
+        }
+
+        newImages = await processImages(files, 'product');
+        addProductImages(product, newImages);
+
+        await product.save();
+        res.status(201).json({ message: '✅ Images added successfully!', images: product.images, product });
+      } catch (err) {
+        console.error('❌ Error adding product images:', err);
+        await deleteImages(newImages);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid product ID format' });
+        }
+        res.status(500).json({ message: '❌ Failed to add images.', error: err.message });
+      }
+    });
+
+    // PUT /api/products/:id/images: Reorder the gallery and/or choose the primary image
+    // Body: { order: [imageId, ...], primaryImageId }
+    app.put('/api/products/:id/images', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { order, primaryImageId } = req.body;
+
+        const product = await Product.findById(id);
+        if (!product) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+        adoptLegacyImage(product);
+
+        if (order !== undefined) {
+          const currentIds = product.images.map(image => image._id.toString());
+          if (!Array.isArray(order) || order.length !== currentIds.length || !currentIds.every(imageId => order.includes(imageId))) {
+            return res.status(400).json({ message: 'Order must list every image ID of this product exactly once.' });
+          }
+          product.images.forEach(image => { image.position = order.indexOf(image._id.toString()); });
+        }
+
+        if (primaryImageId !== undefined) {
+          const primary = product.images.id(primaryImageId);
+          if (!primary) {
+            return res.status(404).json({ message: 'Image not found on this product.' });
+          }
+          product.images.forEach(image => { image.isPrimary = image === primary; });
+        }
+
+        await product.save();
+        res.status(200).json({ message: '✅ Gallery updated successfully!', images: product.images, product });
+      } catch (err) {
+        console.error('❌ Error updating product gallery:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid product or image ID format' });
+        }
+        res.status(500).json({ message: '❌ Failed to update gallery.', error: err.message });
+      }
+    });
+
+    // DELETE /api/products/:id/images/:imageId: Remove one gallery image and its derivatives
+    app.delete('/api/products/:id/images/:imageId', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const { id, imageId } = req.params;
+
+        const product = await Product.findById(id);
+        if (!product) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+        const image = product.images.id(imageId);
+        if (!image) {
+          return res.status(404).json({ message: 'Image not found on this product.' });
+        }
+
+        const removed = image.toObject();
+        image.deleteOne();
+        // The next image becomes primary automatically; with none left the product has no image
+        if (product.images.length === 0) product.image = '';
+
+        await product.save();
+        await deleteImages([removed]);
+        res.status(200).json({ message: '✅ Image deleted successfully!', images: product.images, product });
+      } catch (err) {
+        console.error('❌ Error deleting product image:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid product or image ID format' });
+        }
+        res.status(500).json({ message: '❌ Failed to delete image.', error: err.message });
+      }
+    });
+
+    // --- Bulk Product Import & Export ---
+
+    // POST /api/admin/products/import?dryRun=true: Upsert products by SKU from a CSV or JSON `file`
+    // (or a JSON body { products: [...] }). The CSV columns match the export below.
+    // With dryRun nothing is saved; the response lists what would be created/updated and row errors.
+    app.post('/api/admin/products/import', requireAdmin('catalog-editor'), acceptImportFile, async (req, res) => {
+      try {
+        const dryRunValue = req.query.dryRun !== undefined ? req.query.dryRun : (req.body && req.body.dryRun);
+        const dryRun = dryRunValue === true || dryRunValue === 'true' || dryRunValue === '1';
+
+        let rows;
+        let firstRowNumber = 1;
+        if (req.file) {
+          const parsed = parseImportFile(req.file);
+          rows = parsed.rows;
+          if (parsed.format === 'csv') firstRowNumber = 2; // Row 1 is the header
+        } else {
+          rows = req.body && req.body.products;
+        }
+
+        const { summary, results } = await importProducts(rows, { dryRun, firstRowNumber, actor: req.auth });
+        const message = dryRun
+          ? `✅ Dry run complete: ${summary.created} to create, ${summary.updated} to update, ${summary.failed} with errors.`
+          : `✅ Import complete: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed.`;
+        res.status(200).json({ message, dryRun, summary, results });
+      } catch (err) {
+        console.error('❌ Error importing products:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
+        res.status(500).json({ message: '❌ Failed to import products.', error: err.message });
+      }
+    });
+
+    // GET /api/admin/products/export?format=csv|json: Stream the full catalogue in the import format
+    app.get('/api/admin/products/export', requireAdmin('catalog-editor'), async (req, res) => {
+      const format = req.query.format === 'json' ? 'json' : 'csv';
+      try {
+        await streamProducts(res, format);
+      } catch (err) {
+        console.error('❌ Error exporting products:', err);
+        if (res.headersSent) {
+          return res.destroy(err); // Cut the download short so the client sees it failed
+        }
+        res.status(500).json({ message: '❌ Failed to export products.', error: err.message });
+      }
+    });
+
+    // --- Inventory Ledger & Low Stock ---
+    // Every stock change is recorded as an InventoryMovement (see utils/inventory.js)
+
+    // GET /api/admin/inventory/movements?productId=&variantId=&type=&page=1&limit=50: Ledger, newest first
+    app.get('/api/admin/inventory/movements', requireAdmin('catalog-editor', 'fulfilment'), async (req, res) => {
+      try {
+        const { productId, variantId, type } = req.query;
+        const page = Math.max(parseIntOrDefault(req.query.page, 1), 1);
+        const limit = Math.min(Math.max(parseIntOrDefault(req.query.limit, 50), 1), 200);
+
+        const filter = {};
+        if (productId) filter.productId = productId;
+        if (variantId) filter.variantId = variantId;
+        if (type) filter.type = type;
+
+        const [movements, total] = await Promise.all([
+          InventoryMovement.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+          InventoryMovement.countDocuments(filter),
+        ]);
+        res.status(200).json({ movements, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+      } catch (err) {
+        sendError(res, err, 'fetch inventory movements');
+      }
+    });
+
+    // POST /api/admin/inventory/movements: Record a restock or manual adjustment.
+    // Body { productId, variantId, type: 'restock' | 'adjustment', quantity (signed), reason }
+    app.post('/api/admin/inventory/movements', requireAdmin('catalog-editor', 'fulfilment'), async (req, res) => {
+      try {
+        const { productId, variantId, type, quantity, reason } = req.body;
+        const product = await adjustStock({ productId, variantId, type, quantity, reason, actor: req.auth });
+        res.status(201).json({ message: '✅ Stock updated successfully!', product });
+      } catch (err) {
+        sendError(res, err, 'update stock');
+      }
+    });
+
+    // GET /api/admin/inventory/low-stock?category=: Products and variants at or below their reorder threshold
+    app.get('/api/admin/inventory/low-stock', requireAdmin('catalog-editor', 'fulfilment'), async (req, res) => {
+      try {
+        const items = await findLowStock({ category: req.query.category });
+        res.status(200).json(items);
+      } catch (err) {
+        sendError(res, err, 'fetch low-stock items');
+      }
+    });
+
+    // GET /api/admin/inventory/reconcile?productId=: Where product stock and the ledger disagree
+    app.get('/api/admin/inventory/reconcile', requireAdmin('catalog-editor', 'fulfilment'), async (req, res) => {
+      try {
+        const differences = await reconcileInventory({ productId: req.query.productId });
+        res.status(200).json({ differences });
+      } catch (err) {
+        sendError(res, err, 'reconcile inventory');
+      }
+    });
+
+    // POST /api/admin/inventory/reconcile: Record adjustments so the ledger matches stock on hand.
+    // Body { productId } to limit it to one product. Also gives pre-ledger products their opening balance.
+    app.post('/api/admin/inventory/reconcile', requireAdmin('owner'), async (req, res) => {
+      try {
+        const differences = await reconcileInventory({ productId: req.body.productId, apply: true, actor: req.auth });
+        res.status(200).json({ message: `✅ Recorded ${differences.length} reconciling adjustment(s).`, differences });
+      } catch (err) {
+        sendError(res, err, 'reconcile inventory');
+      }
+    });
+
+    // --- API Routes for Categories ---
+    // Products reference a category by `categoryId` (see utils/categories.js). Admin routes accept
+    // JSON or multipart with one `image`.
+
+    // Replies for sendError specific to categories
+    const CATEGORY_ERRORS = { duplicate: 'Another category already uses this slug.' };
+
+    const findCategoryById = async (id) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new HttpError(400, 'Invalid category ID.');
+      }
+      const category = await Category.findById(id);
+      if (!category) {
+        throw new HttpError(404, 'Category not found.');
+      }
+      return category;
+    };
+
+    // Category fields present in a form body. `parentId` of '' or 'null' moves the category to the top level.
+    const pickCategoryFields = (body) => {
+      const fields = {};
+      if (body.name !== undefined) fields.name = String(body.name).trim();
+      if (body.slug !== undefined) fields.slug = slugify(body.slug);
+      if (body.description !== undefined) fields.description = body.description;
+      if (body.order !== undefined) fields.order = parseIntOrDefault(body.order);
+      if (body.active !== undefined) fields.active = body.active === true || body.active === 'true';
+      if (body.parentId !== undefined) {
+        fields.parentId = body.parentId === '' || body.parentId === null || body.parentId === 'null' ? null : body.parentId;
+      }
+      return fields;
+    };
+
+    // GET /api/categories/tree: Active categories nested for navigation, with product counts
+    app.get('/api/categories/tree', async (req, res) => {
+      try {
+        const categories = await Category.find().select('-image.storageKeys').lean();
+        const tree = buildCategoryTree(categories, await productCounts(), { activeOnly: true });
+        res.status(200).json({ categories: tree });
+      } catch (err) {
+        sendError(res, err, 'fetch categories', CATEGORY_ERRORS);
+      }
+    });
+
+    // GET /api/admin/categories: Every category (including inactive ones) as a tree
+    app.get('/api/admin/categories', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const categories = await Category.find().lean();
+        res.status(200).json({ categories: buildCategoryTree(categories, await productCounts()) });
+      } catch (err) {
+        sendError(res, err, 'fetch categories', CATEGORY_ERRORS);
+      }
+    });
+
+    // POST /api/admin/categories: Body { name, slug, parentId, description, order, active } and an optional `image`.
+    // The slug defaults to one made from the name.
+    app.post('/api/admin/categories', requireAdmin('catalog-editor'), acceptImages([{ name: 'image', maxCount: 1 }]), async (req, res) => {
+      let newImages = [];
+      try {
+        const fields = pickCategoryFields(req.body);
+        if (!fields.slug) fields.slug = slugify(fields.name);
+        await assertValidParent(null, fields.parentId);
+
+        const category = new Category(fields);
+        newImages = await processImages(uploadedFiles(req, 'image'), 'category');
+        if (newImages.length > 0) category.image = newImages[0];
+        await category.save();
+        res.status(201).json({ message: '✅ Category added successfully!', category });
+      } catch (err) {
+        await deleteImages(newImages);
+        sendError(res, err, 'add category', CATEGORY_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/categories/:id: Edit, move, reorder or (de)activate a category. Send `removeImage=true`
+    // to drop the image. A new name is copied onto its products and coupon scopes; the slug only changes when sent.
+    app.put('/api/admin/categories/:id', requireAdmin('catalog-editor'), acceptImages([{ name: 'image', maxCount: 1 }]), async (req, res) => {
+      let newImages = [];
+      try {
+        const category = await findCategoryById(req.params.id);
+        const fields = pickCategoryFields(req.body);
+        if (fields.parentId !== undefined) await assertValidParent(category, fields.parentId);
+
+        const previousName = category.name;
+        const previousImage = category.image.url ? category.toObject().image : null;
+        category.set(fields);
+        newImages = await processImages(uploadedFiles(req, 'image'), 'category');
+        if (newImages.length > 0) {
+          category.image = newImages[0];
+        } else if (req.body.removeImage === true || req.body.removeImage === 'true') {
+          category.image = { url: '', mediumUrl: '', thumbnailUrl: '', storageKeys: [] };
+        }
+        await category.save();
+
+        let renamed = null;
+        if (category.name !== previousName) {
+          renamed = await renameCategoryReferences(category, previousName);
+        }
+        if (previousImage && category.image.url !== previousImage.url) {
+          await deleteImages([previousImage]);
+        }
+        res.status(200).json({ message: '✅ Category updated successfully!', category, renamed });
+      } catch (err) {
+        await deleteImages(newImages);
+        sendError(res, err, 'update category', CATEGORY_ERRORS);
+      }
+    });
+
+    // DELETE /api/admin/categories/:id: Only empty categories can be deleted; deactivate the others instead
+    app.delete('/api/admin/categories/:id', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const category = await findCategoryById(req.params.id);
+        const childCount = await Category.countDocuments({ parentId: category._id });
+        if (childCount > 0) {
+          return res.status(409).json({ message: `${category.name} has ${childCount} subcategory(ies). Move or delete them first.` });
+        }
+        const productCount = await Product.countDocuments({ categoryId: category._id });
+        if (productCount > 0) {
+          return res.status(409).json({ message: `${category.name} still has ${productCount} product(s). Move them to another category or deactivate it instead.` });
+        }
+
+        await Category.deleteOne({ _id: category._id });
+        if (category.image.url) await deleteImages([category.toObject().image]);
+        res.status(200).json({ message: '✅ Category deleted successfully!' });
+      } catch (err) {
+        sendError(res, err, 'delete category', CATEGORY_ERRORS);
+      }
+    });
+
     // --- API Routes for Users ---
+
+    // When true, customers must verify their mobile number before they can log in
+    const REQUIRE_MOBILE_VERIFICATION = process.env.REQUIRE_MOBILE_VERIFICATION === 'true';
+
+    const toUserResponse = (user) => {
+      const userResponse = user.toObject();
+      delete userResponse.password;
+      return userResponse;
+    };
+
+    // Replies for sendError specific to user accounts
+    const ACCOUNT_ERRORS = {
+      invalidId: 'Invalid user ID format',
+      duplicate: 'User with this username or mobile number already exists',
+      duplicateStatus: 400,
+    };
+
+    // Checked before a one-time code is spent, so a too-short password does not burn the code
+    const assertNewPassword = (password) => {
+      if (!password || String(password).length < 6) {
+        throw new HttpError(400, 'Password must be at least 6 characters long');
+      }
+    };
+
     app.post('/api/signup', async (req, res) => {
       try {
-        const { username, password, age, mobileNumber } = req.body;
+        const { username, password, age, mobileNumber, email } = req.body;
 
         if (!username || !password || !age || !mobileNumber) {
           return res.status(400).json({ message: 'Please enter all fields' });
@@ -431,13 +715,26 @@ async function connectDbAndStartServer() {
           username,
           password,
           age,
-          mobileNumber
+          mobileNumber,
+          email: email || undefined, // Optional, for order emails
         });
 
         await newUser.save();
-        const userResponse = newUser.toObject();
-        delete userResponse.password;
-        res.status(201).json({ message: '✅ User registered successfully!', user: userResponse });
+
+        // The account exists either way; a failed text can be retried through /api/signup/resend-code
+        let codeSent = true;
+        try {
+          await issueCode(newUser, 'verify-mobile');
+        } catch (err) {
+          codeSent = false;
+        }
+        res.status(201).json({
+          message: codeSent
+            ? '✅ User registered successfully! Enter the code sent to your mobile number to verify it.'
+            : '✅ User registered successfully! We could not send a verification code; please request a new one.',
+          user: toUserResponse(newUser),
+          codeSent,
+        });
 
       } catch (err) {
         console.error('❌ Error during user signup:', err);
@@ -460,9 +757,11 @@ async function connectDbAndStartServer() {
         const user = await User.findOne({ username });
 
         if (user && (await user.matchPassword(password))) {
-          const userResponse = user.toObject();
-          delete userResponse.password;
-          res.status(200).json({ message: '✅ Login successful!', user: userResponse });
+          if (REQUIRE_MOBILE_VERIFICATION && !user.mobileVerified) {
+            return res.status(403).json({ message: 'Please verify your mobile number before logging in.', mobileVerified: false });
+          }
+          const tokens = generateTokens({ id: user._id, role: 'user' });
+          res.status(200).json({ message: '✅ Login successful!', user: toUserResponse(user), ...tokens });
         } else {
           res.status(401).json({ message: 'Invalid username or password' });
         }
@@ -472,7 +771,48 @@ async function connectDbAndStartServer() {
       }
     });
 
-    app.get('/api/users', async (req, res) => {
+    // POST /api/token/refresh: Exchange a refresh token for a new token pair
+    app.post('/api/token/refresh', async (req, res) => {
+      try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+          return res.status(400).json({ message: 'Refresh token is required.' });
+        }
+
+        let decoded;
+        try {
+          decoded = verifyToken(refreshToken, 'refresh');
+        } catch (err) {
+          return res.status(401).json({ message: 'Invalid or expired refresh token. Please log in again.' });
+        }
+
+        let adminRole;
+        if (decoded.role === 'admin') {
+          // Re-read the staff record so role changes and deactivation take effect on refresh
+          const admin = await Admin.findById(decoded.sub);
+          if (!admin || !admin.active) {
+            return res.status(401).json({ message: 'Staff account is no longer active.' });
+          }
+          adminRole = admin.role;
+        } else {
+          const user = await User.findById(decoded.sub).select('passwordChangedAt');
+          if (!user) {
+            return res.status(401).json({ message: 'Account no longer exists.' });
+          }
+          if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+            return res.status(401).json({ message: 'Your password was changed. Please log in again.' });
+          }
+        }
+
+        const tokens = generateTokens({ id: decoded.sub, role: decoded.role, adminRole });
+        res.status(200).json({ message: '✅ Token refreshed successfully!', ...tokens });
+      } catch (err) {
+        console.error('❌ Error refreshing token:', err);
+        res.status(500).json({ message: '❌ Failed to refresh token.', error: err.message });
+      }
+    });
+
+    app.get('/api/users', requireAdmin(), async (req, res) => {
       try {
         const users = await User.find({}).select('-password');
         res.status(200).json(users);
@@ -482,12 +822,15 @@ async function connectDbAndStartServer() {
       }
     });
 
-    app.get('/api/users/:id', async (req, res) => {
+    app.get('/api/users/:id', requireAuth, async (req, res) => {
         try {
             const { id } = req.params;
             if (!mongoose.Types.ObjectId.isValid(id)) {
                 return res.status(400).json({ message: 'Invalid user ID format.' });
             }
+            if (!isSelfOrAdmin(req, id)) {
+                return res.status(403).json({ message: 'You can only view your own account.' });
+            }
             const user = await User.findById(id).select('-password');
             if (!user) {
                 return res.status(404).json({ message: 'User not found' });
@@ -502,9 +845,12 @@ async function connectDbAndStartServer() {
       }
     });
 
-    app.delete('/api/users/:id', async (req, res) => {
+    app.delete('/api/users/:id', requireRole('user', 'admin'), async (req, res) => {
       try {
         const { id } = req.params;
+        if (!isSelfOrAdmin(req, id)) {
+          return res.status(403).json({ message: 'You can only delete your own account.' });
+        }
         const user = await User.findByIdAndDelete(id);
 
         if (!user) {
@@ -520,60 +866,378 @@ async function connectDbAndStartServer() {
       }
     });
 
-    // --- API Routes for Orders ---
-    app.post('/api/orders', async (req, res) => {
+    // POST /api/signup/verify-mobile: Verify the number given at signup. Body { mobileNumber, code }
+    app.post('/api/signup/verify-mobile', async (req, res) => {
       try {
-        const { userId, products, shippingAddress, paymentMethod, totalPrice } = req.body;
-
-        if (!mongoose.Types.ObjectId.isValid(userId)) {
-          return res.status(400).json({ message: 'Invalid User ID provided.' });
+        const { mobileNumber, code } = req.body;
+        const user = mobileNumber ? await User.findOne({ mobileNumber: String(mobileNumber).trim() }) : null;
+        if (!user) {
+          return res.status(404).json({ message: 'No account uses this mobile number.' });
         }
-        if (!products || products.length === 0) {
-          return res.status(400).json({ message: 'Order must contain products.' });
+        if (user.mobileVerified) {
+          return res.status(200).json({ message: '✅ Mobile number is already verified.', user: toUserResponse(user) });
         }
-        if (!shippingAddress || !shippingAddress.personName || !shippingAddress.address || !shippingAddress.mobileNumber || !shippingAddress.pincode || !shippingAddress.state) {
-          return res.status(400).json({ message: 'All shipping address fields are required.' });
+        const record = await verifyCode(user, 'verify-mobile', code);
+        if (record.mobileNumber !== user.mobileNumber) {
+          throw new HttpError(400, 'This code was sent to a different number. Please request a new one.');
         }
-        if (!paymentMethod) {
-          return res.status(400).json({ message: 'Payment method is required.' });
+        user.mobileVerified = true;
+        await user.save();
+        res.status(200).json({ message: '✅ Mobile number verified successfully!', user: toUserResponse(user) });
+      } catch (err) {
+        sendError(res, err, 'verify mobile number', ACCOUNT_ERRORS);
+      }
+    });
+
+    // POST /api/signup/resend-code: Send a new verification code. Body { mobileNumber }
+    app.post('/api/signup/resend-code', async (req, res) => {
+      try {
+        const { mobileNumber } = req.body;
+        const user = mobileNumber ? await User.findOne({ mobileNumber: String(mobileNumber).trim() }) : null;
+        if (!user) {
+          return res.status(404).json({ message: 'No account uses this mobile number.' });
         }
-        if (totalPrice === undefined || totalPrice <= 0) {
-          return res.status(400).json({ message: 'Total price must be greater than zero.' });
+        if (user.mobileVerified) {
+          return res.status(400).json({ message: 'Mobile number is already verified.' });
         }
+        await issueCode(user, 'verify-mobile');
+        res.status(200).json({ message: '✅ A new code has been sent to your mobile number.' });
+      } catch (err) {
+        sendError(res, err, 'send verification code', ACCOUNT_ERRORS);
+      }
+    });
 
-        for (const item of products) {
-          if (!mongoose.Types.ObjectId.isValid(item.productId) || !item.name || item.price === undefined || item.quantity === undefined || item.quantity <= 0) {
-            return res.status(400).json({ message: `Invalid product data in order: ${JSON.stringify(item)}` });
-          }
+    // PUT /api/users/:id: Update username, age or email. A new mobile number is only saved once
+    // the code sent to it is confirmed through POST /api/users/:id/mobile/verify (admins set it directly).
+    app.put('/api/users/:id', requireRole('user', 'admin'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!isSelfOrAdmin(req, id)) {
+          return res.status(403).json({ message: 'You can only edit your own account.' });
+        }
+        if (req.body.password !== undefined) {
+          return res.status(400).json({ message: 'Use the change password endpoint to update your password.' });
+        }
+        const user = await User.findById(id);
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
         }
 
-        const newOrder = new Order({
-          userId,
-          products,
-          shippingAddress,
-          paymentMethod,
-          totalPrice,
-          orderStatus: 'Pending',
-          deliveryOption: 'Option 1 - 5 days to delivery',
-        });
+        const { username, age, email } = req.body;
+        const mobileNumber = req.body.mobileNumber !== undefined ? String(req.body.mobileNumber).trim() : undefined;
 
-        await newOrder.save();
-        res.status(201).json({ message: '✅ Order placed successfully!', order: newOrder });
+        if (username !== undefined && username !== user.username
+            && await User.exists({ username, _id: { $ne: user._id } })) {
+          return res.status(400).json({ message: 'User with this username already exists' });
+        }
+        const mobileChanged = mobileNumber !== undefined && mobileNumber !== user.mobileNumber;
+        if (mobileChanged && await User.exists({ mobileNumber, _id: { $ne: user._id } })) {
+          return res.status(400).json({ message: 'User with this mobile number already exists' });
+        }
 
-      } catch (err) {
-        console.error('❌ Error placing order:', err);
-        if (err.name === 'ValidationError') {
-          const messages = Object.values(err.errors).map(val => val.message);
-          return res.status(400).json({ message: 'Validation Error', errors: messages });
+        if (username !== undefined) user.username = username;
+        if (age !== undefined) user.age = age;
+        if (email !== undefined) user.email = email || undefined; // Blank removes it
+        const verifyByCode = mobileChanged && req.auth.role === 'user';
+        if (verifyByCode) {
+          // Check the new number against the schema before texting it
+          const mobileError = new User({ mobileNumber }).validateSync(['mobileNumber']);
+          if (mobileError) {
+            return res.status(400).json({ message: 'Validation Error', errors: [mobileError.errors.mobileNumber.message] });
+          }
+        } else if (mobileChanged) {
+          user.mobileNumber = mobileNumber;
+          user.mobileVerified = false;
         }
-        res.status(500).json({ message: '❌ Failed to place order. Please try again later.', error: err.message });
+
+        // Send the code before saving, so a throttled or failed send leaves the profile unchanged
+        if (verifyByCode) {
+          await user.validate();
+          await issueCode(user, 'verify-mobile', mobileNumber);
+        }
+        await user.save();
+
+        if (verifyByCode) {
+          return res.status(200).json({
+            message: '✅ Profile updated successfully! Enter the code sent to your new mobile number to change it.',
+            user: toUserResponse(user),
+            pendingMobileNumber: mobileNumber,
+          });
+        }
+        res.status(200).json({ message: '✅ Profile updated successfully!', user: toUserResponse(user) });
+      } catch (err) {
+        sendError(res, err, 'update profile', ACCOUNT_ERRORS);
       }
     });
 
-    app.get('/api/orders', async (req, res) => {
+    // POST /api/users/:id/mobile/verify: Confirm a new mobile number with the code sent to it. Body { code }
+    app.post('/api/users/:id/mobile/verify', requireRole('user'), async (req, res) => {
       try {
-        const { status } = req.query;
-        let query = {};
+        const { id } = req.params;
+        if (!isSelfOrAdmin(req, id)) {
+          return res.status(403).json({ message: 'You can only verify your own mobile number.' });
+        }
+        const user = await User.findById(id);
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        const record = await verifyCode(user, 'verify-mobile', req.body.code);
+        if (record.mobileNumber !== user.mobileNumber
+            && await User.exists({ mobileNumber: record.mobileNumber, _id: { $ne: user._id } })) {
+          return res.status(400).json({ message: 'User with this mobile number already exists' });
+        }
+        user.mobileNumber = record.mobileNumber;
+        user.mobileVerified = true;
+        await user.save();
+        res.status(200).json({ message: '✅ Mobile number verified successfully!', user: toUserResponse(user) });
+      } catch (err) {
+        sendError(res, err, 'verify mobile number', ACCOUNT_ERRORS);
+      }
+    });
+
+    // PUT /api/users/:id/password: Change password. Body { currentPassword, newPassword }.
+    // Returns fresh tokens; refresh tokens issued before the change stop working.
+    app.put('/api/users/:id/password', requireRole('user'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!isSelfOrAdmin(req, id)) {
+          return res.status(403).json({ message: 'You can only change your own password.' });
+        }
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !newPassword) {
+          return res.status(400).json({ message: 'Please enter your current and new password' });
+        }
+        assertNewPassword(newPassword);
+
+        const user = await User.findById(id);
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        if (!(await user.matchPassword(currentPassword))) {
+          return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+        if (await user.matchPassword(newPassword)) {
+          return res.status(400).json({ message: 'New password must be different from the current one' });
+        }
+
+        user.password = newPassword;
+        await user.save();
+        const tokens = generateTokens({ id: user._id, role: 'user' });
+        res.status(200).json({ message: '✅ Password changed successfully!', ...tokens });
+      } catch (err) {
+        sendError(res, err, 'change password', ACCOUNT_ERRORS);
+      }
+    });
+
+    // POST /api/password/forgot: Text a reset code. Body { mobileNumber } or { username }.
+    // Answers the same whether or not the account exists, so it cannot be used to look up accounts.
+    app.post('/api/password/forgot', async (req, res) => {
+      try {
+        const { mobileNumber, username } = req.body;
+        if (!mobileNumber && !username) {
+          return res.status(400).json({ message: 'Please enter your username or mobile number' });
+        }
+        const user = await User.findOne(mobileNumber ? { mobileNumber: String(mobileNumber).trim() } : { username });
+        if (user) {
+          try {
+            await issueCode(user, 'reset-password');
+          } catch (err) {
+            // Only the resend limit is worth telling the caller about; it does not reveal more than the reply below
+            if (err.statusCode !== 429) throw err;
+          }
+        }
+        res.status(200).json({ message: '✅ If an account matches, a reset code has been sent to its mobile number.' });
+      } catch (err) {
+        sendError(res, err, 'send password reset code', ACCOUNT_ERRORS);
+      }
+    });
+
+    // POST /api/password/reset: Set a new password with the texted code.
+    // Body { mobileNumber or username, code, newPassword }
+    app.post('/api/password/reset', async (req, res) => {
+      try {
+        const { mobileNumber, username, code, newPassword } = req.body;
+        if ((!mobileNumber && !username) || !code || !newPassword) {
+          return res.status(400).json({ message: 'Please enter all fields' });
+        }
+        assertNewPassword(newPassword);
+
+        const user = await User.findOne(mobileNumber ? { mobileNumber: String(mobileNumber).trim() } : { username });
+        if (!user) {
+          return res.status(400).json({ message: 'This code has expired or was already used. Please request a new one.' });
+        }
+        await verifyCode(user, 'reset-password', code);
+
+        user.password = newPassword;
+        // The code reached this number, so it is proven to be theirs
+        user.mobileVerified = true;
+        await user.save();
+        res.status(200).json({ message: '✅ Password reset successfully! Please log in with your new password.' });
+      } catch (err) {
+        sendError(res, err, 'reset password', ACCOUNT_ERRORS);
+      }
+    });
+
+    // --- API Routes for the Address Book ---
+    // Orders can use a saved address with `addressId` (or the default when no address is sent).
+
+    // GET /api/addresses: The caller's saved addresses, default first
+    app.get('/api/addresses', requireRole('user'), async (req, res) => {
+      try {
+        const user = await User.findById(req.auth.id).select('addresses');
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        const addresses = [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+        res.status(200).json({ addresses });
+      } catch (err) {
+        sendError(res, err, 'fetch addresses', ACCOUNT_ERRORS);
+      }
+    });
+
+    // POST /api/addresses: Save an address. Body { label, personName, mobileNumber, address, pincode, state, isDefault }
+    app.post('/api/addresses', requireRole('user'), async (req, res) => {
+      try {
+        const user = await User.findById(req.auth.id);
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+          return res.status(400).json({ message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses.` });
+        }
+        const fields = pickAddress(req.body);
+        if (fields.label) assertUniqueLabel(user, fields.label);
+
+        user.addresses.push(fields);
+        const added = user.addresses[user.addresses.length - 1];
+        setDefaultAddress(user, req.body.isDefault === true || req.body.isDefault === 'true' ? added._id : null);
+        await user.save();
+        res.status(201).json({ message: '✅ Address saved successfully!', address: added, addresses: user.addresses });
+      } catch (err) {
+        sendError(res, err, 'save address', ACCOUNT_ERRORS);
+      }
+    });
+
+    // PUT /api/addresses/:addressId: Edit a saved address. Orders already placed keep their own copy.
+    app.put('/api/addresses/:addressId', requireRole('user'), async (req, res) => {
+      try {
+        const user = await User.findById(req.auth.id);
+        const address = user && mongoose.Types.ObjectId.isValid(req.params.addressId) ? user.addresses.id(req.params.addressId) : null;
+        if (!address) {
+          return res.status(404).json({ message: 'Saved address not found.' });
+        }
+        const fields = pickAddress(req.body);
+        if (fields.label) assertUniqueLabel(user, fields.label, address._id);
+
+        address.set(fields);
+        if (req.body.isDefault === true || req.body.isDefault === 'true') setDefaultAddress(user, address._id);
+        await user.save();
+        res.status(200).json({ message: '✅ Address updated successfully!', address, addresses: user.addresses });
+      } catch (err) {
+        sendError(res, err, 'update address', ACCOUNT_ERRORS);
+      }
+    });
+
+    // PUT /api/addresses/:addressId/default: Make a saved address the default
+    app.put('/api/addresses/:addressId/default', requireRole('user'), async (req, res) => {
+      try {
+        const user = await User.findById(req.auth.id);
+        const address = user && mongoose.Types.ObjectId.isValid(req.params.addressId) ? user.addresses.id(req.params.addressId) : null;
+        if (!address) {
+          return res.status(404).json({ message: 'Saved address not found.' });
+        }
+        setDefaultAddress(user, address._id);
+        await user.save();
+        res.status(200).json({ message: '✅ Default address updated!', addresses: user.addresses });
+      } catch (err) {
+        sendError(res, err, 'set default address', ACCOUNT_ERRORS);
+      }
+    });
+
+    // DELETE /api/addresses/:addressId: Remove a saved address; the next one becomes the default if needed
+    app.delete('/api/addresses/:addressId', requireRole('user'), async (req, res) => {
+      try {
+        const user = await User.findById(req.auth.id);
+        const address = user && mongoose.Types.ObjectId.isValid(req.params.addressId) ? user.addresses.id(req.params.addressId) : null;
+        if (!address) {
+          return res.status(404).json({ message: 'Saved address not found.' });
+        }
+        address.deleteOne();
+        setDefaultAddress(user);
+        await user.save();
+        res.status(200).json({ message: '✅ Address deleted successfully!', addresses: user.addresses });
+      } catch (err) {
+        sendError(res, err, 'delete address', ACCOUNT_ERRORS);
+      }
+    });
+
+    // --- API Routes for Orders ---
+
+    // Response for a placed order. Online payments get a payment attempt opened here;
+    // if the provider is unavailable the order stays Pending and the customer can retry
+    // through POST /api/orders/:id/payment.
+    const orderPlacedResponse = async (order) => {
+      if (!requiresOnlinePayment(order) || order.paymentStatus === 'Paid') {
+        return { order };
+      }
+
+      let payment = order.paymentId ? await Payment.findById(order.paymentId) : null;
+      if (!payment) {
+        try {
+          payment = await startPayment(order);
+        } catch (err) {
+          console.error(`❌ Failed to start payment for order ${order._id}:`, err);
+          return { order, payment: null, paymentError: 'Could not start the online payment. Please retry from your orders.' };
+        }
+      }
+      return { order, payment: paymentResponse(payment) };
+    };
+
+    app.post('/api/orders', requireRole('user'), async (req, res) => {
+      try {
+        const { products, shippingAddress, addressId, paymentMethod, couponCode, totalPrice } = req.body;
+        const userId = req.auth.id;
+
+        if (req.body.userId && req.body.userId !== userId) {
+          return res.status(403).json({ message: 'You can only place orders for your own account.' });
+        }
+
+        const idempotencyKey = req.get('Idempotency-Key');
+        const existingOrder = await findOrderByIdempotencyKey(userId, idempotencyKey);
+        if (existingOrder) {
+          return res.status(200).json({ message: '✅ Order already placed.', ...(await orderPlacedResponse(existingOrder)) });
+        }
+
+        const newOrder = await placeOrder({
+          userId,
+          items: products,
+          shippingAddress,
+          addressId,
+          paymentMethod,
+          couponCode,
+          expectedTotal: totalPrice,
+          idempotencyKey,
+          actor: req.auth,
+        });
+        res.status(201).json({ message: '✅ Order placed successfully!', ...(await orderPlacedResponse(newOrder)) });
+
+      } catch (err) {
+        console.error('❌ Error placing order:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message, ...err.details });
+        }
+        if (err.name === 'ValidationError') {
+          const messages = Object.values(err.errors).map(val => val.message);
+          return res.status(400).json({ message: 'Validation Error', errors: messages });
+        }
+        res.status(500).json({ message: '❌ Failed to place order. Please try again later.', error: err.message });
+      }
+    });
+
+    app.get('/api/orders', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const { status } = req.query;
+        let query = {};
 
         if (status === 'history') {
           query.orderStatus = { $in: ['Delivered & Confirmed', 'Cancelled'] };
@@ -589,7 +1253,7 @@ async function connectDbAndStartServer() {
       }
     });
 
-    app.get('/api/orders/user/:userId', async (req, res) => {
+    app.get('/api/orders/user/:userId', requireAuth, async (req, res) => {
       try {
         const { userId } = req.params;
         const { status } = req.query;
@@ -597,6 +1261,9 @@ async function connectDbAndStartServer() {
         if (!mongoose.Types.ObjectId.isValid(userId)) {
             return res.status(400).json({ message: 'Invalid User ID format.' });
         }
+        if (!isSelfOrAdmin(req, userId)) {
+            return res.status(403).json({ message: 'You can only view your own orders.' });
+        }
 
         let query = { userId: userId };
         if (status === 'history') {
@@ -616,7 +1283,7 @@ async function connectDbAndStartServer() {
       }
     });
 
-    app.get('/api/orders/:id', async (req, res) => {
+    app.get('/api/orders/:id', requireAuth, async (req, res) => {
       try {
         const { id } = req.params;
         if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -626,6 +1293,9 @@ async function connectDbAndStartServer() {
         if (!order) {
           return res.status(404).json({ message: 'Order not found.' });
         }
+        if (!isSelfOrAdmin(req, order.userId ? order.userId._id : null)) {
+          return res.status(403).json({ message: 'You can only view your own orders.' });
+        }
 
         res.status(200).json(order);
       } catch (err) {
@@ -637,7 +1307,86 @@ async function connectDbAndStartServer() {
       }
     });
 
-    app.put('/api/orders/:id', async (req, res) => {
+    // --- Order Documents (PDF) ---
+
+    const sendPdfHeaders = (res, filename, download) => {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+    };
+
+    // GET /api/orders/:id/invoice?download=true: Tax invoice PDF, available once the order has been confirmed
+    app.get('/api/orders/:id/invoice', requireAuth, async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ message: 'Invalid Order ID format.' });
+        }
+        const order = await Order.findById(id);
+        if (!order) {
+          return res.status(404).json({ message: 'Order not found.' });
+        }
+        if (!isSelfOrAdmin(req, order.userId)) {
+          return res.status(403).json({ message: 'You can only download invoices for your own orders.' });
+        }
+        if (!order.invoiceNumber && INVOICED_STATUSES.includes(order.orderStatus)) {
+          // Confirmed before invoices were numbered and not yet backfilled (npm run invoices:backfill)
+          return res.status(409).json({ message: 'The invoice for this order is not ready yet. Please try again later.' });
+        }
+        if (!order.invoiceNumber) {
+          return res.status(400).json({ message: 'The invoice is available once the order has been confirmed.' });
+        }
+
+        sendPdfHeaders(res, `invoice-${order.invoiceNumber.replace(/\//g, '-')}.pdf`, req.query.download === 'true');
+        writeInvoicePdf(order, res);
+      } catch (err) {
+        console.error('❌ Error generating invoice:', err);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ message: '❌ Failed to generate invoice.', error: err.message });
+      }
+    });
+
+    // GET /api/orders/:id/packing-slip: Packing slip PDF for one order
+    app.get('/api/orders/:id/packing-slip', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ message: 'Invalid Order ID format.' });
+        }
+        const order = await Order.findById(id);
+        if (!order) {
+          return res.status(404).json({ message: 'Order not found.' });
+        }
+
+        sendPdfHeaders(res, `packing-slip-${order._id}.pdf`, req.query.download === 'true');
+        writePackingSlipsPdf([order], res);
+      } catch (err) {
+        console.error('❌ Error generating packing slip:', err);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ message: '❌ Failed to generate packing slip.', error: err.message });
+      }
+    });
+
+    // GET /api/admin/packing-slips?orderIds=a,b: One PDF with a packing slip per order, oldest first.
+    // Without `orderIds`, every order in Processing.
+    app.get('/api/admin/packing-slips', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const orderIds = ensureArray(req.query.orderIds);
+        if (orderIds.some(orderId => !mongoose.Types.ObjectId.isValid(orderId))) {
+          return res.status(400).json({ message: 'Invalid Order ID format.' });
+        }
+        const query = orderIds.length > 0 ? { _id: { $in: orderIds } } : { orderStatus: 'Processing' };
+        const orders = await Order.find(query).sort({ createdAt: 1 });
+
+        sendPdfHeaders(res, `packing-slips-${new Date().toISOString().slice(0, 10)}.pdf`, req.query.download === 'true');
+        writePackingSlipsPdf(orders, res);
+      } catch (err) {
+        console.error('❌ Error generating packing slips:', err);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ message: '❌ Failed to generate packing slips.', error: err.message });
+      }
+    });
+
+    app.put('/api/orders/:id', requireAdmin('fulfilment'), async (req, res) => {
         try {
             const { id } = req.params;
             const { orderStatus, deliveryOption, adminMessage } = req.body;
@@ -647,22 +1396,22 @@ async function connectDbAndStartServer() {
                 return res.status(404).json({ message: 'Order not found.' });
             }
 
-            if (order.orderStatus === 'Delivered & Confirmed') {
-                return res.status(400).json({ message: 'Cannot update an order that has been confirmed as received by the user.' });
-            }
-            if (order.orderStatus === 'Cancelled') {
-                return res.status(400).json({ message: 'Cannot update a cancelled order.' });
+            // Cancelling an already cancelled order again finishes off a release that failed part-way
+            const retryingRelease = orderStatus === 'Cancelled' && order.orderStatus === 'Cancelled' && order.pendingRelease.length > 0;
+            if (!retryingRelease) {
+              applyOrderChange(order, { orderStatus, deliveryOption, adminMessage }, req.auth);
+              await order.save();
             }
-
-            if (orderStatus) order.orderStatus = orderStatus;
-            if (deliveryOption) order.deliveryOption = deliveryOption;
-            if (adminMessage !== undefined) order.adminMessage = adminMessage;
-
-            order.updatedAt = Date.now();
-            await order.save();
+            if (order.orderStatus === 'Cancelled') await releaseOrderResources(order, req.auth);
             res.status(200).json({ message: '✅ Order updated successfully!', order });
         } catch (err) {
             console.error('❌ Error updating order:', err);
+            if (err.statusCode) {
+                return res.status(err.statusCode).json({ message: err.message });
+            }
+            if (err.name === 'VersionError') {
+                return res.status(409).json({ message: 'Order was changed by someone else. Please reload and try again.' });
+            }
             if (err.name === 'CastError') {
                 return res.status(400).json({ message: 'Invalid Order ID format.' });
             }
@@ -674,7 +1423,7 @@ async function connectDbAndStartServer() {
         }
     });
 
-    app.put('/api/orders/:id/confirm-received', async (req, res) => {
+    app.put('/api/orders/:id/confirm-received', requireRole('user'), async (req, res) => {
         try {
             const { id } = req.params;
 
@@ -683,20 +1432,23 @@ async function connectDbAndStartServer() {
             if (!order) {
                 return res.status(404).json({ message: 'Order not found.' });
             }
-
-            if (order.orderStatus === 'Delivered & Confirmed' || order.orderStatus === 'Cancelled') {
-                return res.status(400).json({ message: 'Order cannot be confirmed (already confirmed or cancelled).' });
+            if (order.userId.toString() !== req.auth.id) {
+                return res.status(403).json({ message: 'You can only confirm your own orders.' });
             }
 
-            order.orderStatus = 'Delivered & Confirmed';
-            order.deliveredAt = new Date();
-            order.updatedAt = new Date();
+            applyOrderChange(order, { orderStatus: 'Delivered & Confirmed' }, req.auth);
 
             await order.save();
             res.status(200).json({ message: '✅ Order marked as received successfully!', order });
 
         } catch (err) {
             console.error('❌ Error confirming order receipt:', err);
+            if (err.statusCode) {
+                return res.status(err.statusCode).json({ message: err.message });
+            }
+            if (err.name === 'VersionError') {
+                return res.status(409).json({ message: 'Order was changed by someone else. Please reload and try again.' });
+            }
             if (err.name === 'CastError') {
                 return res.status(400).json({ message: 'Invalid Order ID format.' });
             }
@@ -704,7 +1456,7 @@ async function connectDbAndStartServer() {
         }
     });
 
-    app.put('/api/orders/:id/cancel', async (req, res) => {
+    app.put('/api/orders/:id/cancel', requireRole('user', 'admin'), async (req, res) => {
         try {
             const { id } = req.params;
 
@@ -713,29 +1465,26 @@ async function connectDbAndStartServer() {
             if (!order) {
                 return res.status(404).json({ message: 'Order not found.' });
             }
-
-            if (order.orderStatus === 'Delivered & Confirmed' || order.orderStatus === 'Cancelled' || order.orderStatus === 'Delivered' || order.orderStatus === 'Shipped') {
-                return res.status(400).json({ message: 'Order cannot be cancelled at this stage (already processed or shipped).' });
+            if (!isSelfOrAdmin(req, order.userId)) {
+                return res.status(403).json({ message: 'You can only cancel your own orders.' });
             }
 
-            const cancellableDeliveryOptions = [
-                'Option 1 - 5 days to delivery',
-                'Option 2 - 3 days to delivery'
-            ];
-
-            if (!cancellableDeliveryOptions.includes(order.deliveryOption)) {
-                return res.status(400).json({ message: 'Order can no longer be cancelled (past early delivery stages).' });
+            // Cancelling again finishes off a cancellation whose release failed part-way
+            if (order.orderStatus !== 'Cancelled' || order.pendingRelease.length === 0) {
+              applyOrderChange(order, { orderStatus: 'Cancelled' }, req.auth);
+              await order.save();
             }
-
-            order.orderStatus = 'Cancelled';
-            order.cancelledAt = new Date();
-            order.updatedAt = new Date();
-
-            await order.save();
+            await releaseOrderResources(order, req.auth);
             res.status(200).json({ message: '✅ Order cancelled successfully!', order });
 
         } catch (err) {
             console.error('❌ Error cancelling order:', err);
+            if (err.statusCode) {
+                return res.status(err.statusCode).json({ message: err.message });
+            }
+            if (err.name === 'VersionError') {
+                return res.status(409).json({ message: 'Order was changed by someone else. Please reload and try again.' });
+            }
             if (err.name === 'CastError') {
                 return res.status(400).json({ message: 'Invalid Order ID format' });
             }
@@ -743,97 +1492,1369 @@ async function connectDbAndStartServer() {
       }
     });
 
-    // --- API Routes for Reviews ---
-    app.post('/api/reviews', async (req, res) => {
+    // --- Delivery Serviceability ---
+
+    // GET /api/serviceability/:pincode?state=&orderValue=: Whether we deliver to a pincode, if Cash on
+    // Delivery is allowed, the shipping charge for an order of `orderValue` and the estimated delivery date
+    app.get('/api/serviceability/:pincode', (req, res) => {
+      try {
+        const orderValue = parseNumberOrDefault(req.query.orderValue, 0);
+        const result = checkServiceability({ pincode: req.params.pincode, state: req.query.state }, { orderValue });
+        res.status(200).json(result);
+      } catch (err) {
+        console.error('❌ Error checking serviceability:', err);
+        res.status(500).json({ message: '❌ Failed to check delivery availability.', error: err.message });
+      }
+    });
+
+    // --- Live Order Tracking (Server-Sent Events) ---
+    // EventSource cannot send headers, so these also accept ?token=<accessToken>.
+    // See utils/orderStream.js for the events sent.
+
+    // GET /api/events/orders: Live updates for the caller's own orders
+    app.get('/api/events/orders', allowQueryToken, requireRole('user'), (req, res) => {
+      openOrderStream(req, res, { scope: 'own' });
+    });
+
+    // GET /api/admin/events/orders: New orders and status changes for the staff dashboard
+    app.get('/api/admin/events/orders', allowQueryToken, requireAdmin('fulfilment'), (req, res) => {
+      openOrderStream(req, res, { scope: 'all' });
+    });
+
+    // --- API Routes for Cart ---
+
+    // Loads the caller's cart, creating an empty one on first use
+    const getOrCreateCart = async (userId) => {
+      const cart = await Cart.findOne({ userId });
+      return cart || new Cart({ userId, items: [] });
+    };
+
+    // Cart response with every item repriced against the current catalogue
+    const cartResponse = async (cart) => {
+      const { items, subtotal } = await describeSavedItems(cart.items);
+      return { _id: cart._id, items, subtotal, updatedAt: cart.updatedAt };
+    };
+
+    app.get('/api/cart', requireRole('user'), async (req, res) => {
+      try {
+        const cart = await getOrCreateCart(req.auth.id);
+        res.status(200).json(await cartResponse(cart));
+      } catch (err) {
+        console.error('❌ Error fetching cart:', err);
+        res.status(500).json({ message: '❌ Failed to fetch cart', error: err.message });
+      }
+    });
+
+    app.post('/api/cart/items', requireRole('user'), async (req, res) => {
       try {
-        const { productId, userId, rating, comment } = req.body;
+        const { productId, size, color } = req.body;
+        const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
 
-        if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(userId)) {
-          return res.status(400).json({ message: 'Invalid Product ID or User ID.' });
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+          return res.status(400).json({ message: 'Invalid Product ID.' });
         }
-        if (rating === undefined || rating < 1 || rating > 5) {
-          return res.status(400).json({ message: 'Rating must be between 1 and 5 stars.' });
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          return res.status(400).json({ message: 'Quantity must be a positive whole number.' });
         }
 
-        const existingReview = await Review.findOne({ productId, userId });
-        if (existingReview) {
-          return res.status(409).json({ message: 'You have already submitted a review for this product.' });
+        const product = await Product.findById(productId);
+        if (!product) {
+          return res.status(404).json({ message: 'Product not found' });
         }
+        const selection = resolveSelection(product, { size, color });
 
-        const hasPurchasedAndConfirmed = await Order.exists({
-            userId: userId,
-            'products.productId': productId,
-            orderStatus: 'Delivered & Confirmed'
-        });
+        const cart = await getOrCreateCart(req.auth.id);
+        const existingItem = cart.items.find(item =>
+          item.productId.toString() === productId && item.size === selection.size && item.color === selection.color
+        );
+        const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+        const available = getAvailableStock(product, selection.variant);
 
-        if (!hasPurchasedAndConfirmed) {
-            return res.status(403).json({ message: 'You can only review products you have purchased and confirmed receipt of.' });
+        if (newQuantity > available) {
+          return res.status(409).json({ message: `Only ${available} left in stock for "${product.name}".` });
         }
 
-        const newReview = new Review({
-          productId,
-          userId,
-          rating,
-          comment: comment || '',
-        });
-
-        await newReview.save();
-        res.status(201).json({ message: '✅ Review submitted successfully!', review: newReview });
+        if (existingItem) {
+          existingItem.quantity = newQuantity;
+        } else {
+          cart.items.push({ productId, size: selection.size, color: selection.color, quantity });
+        }
 
+        await cart.save();
+        res.status(200).json({ message: '✅ Added to cart!', cart: await cartResponse(cart) });
       } catch (err) {
-        console.error('❌ Error submitting review:', err);
+        console.error('❌ Error adding to cart:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
         if (err.name === 'ValidationError') {
           const messages = Object.values(err.errors).map(val => val.message);
           return res.status(400).json({ message: 'Validation Error', errors: messages });
         }
-        res.status(500).json({ message: '❌ Failed to submit review.', error: err.message });
+        res.status(500).json({ message: '❌ Failed to add to cart.', error: err.message });
       }
     });
 
-    app.get('/api/reviews/:productId', async (req, res) => {
+    app.put('/api/cart/items/:itemId', requireRole('user'), async (req, res) => {
       try {
-        const { productId } = req.params;
-        if (!mongoose.Types.ObjectId.isValid(productId)) {
-          return res.status(400).json({ message: 'Invalid Product ID.' });
+        const { itemId } = req.params;
+        const quantity = Number(req.body.quantity);
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          return res.status(400).json({ message: 'Quantity must be a positive whole number.' });
+        }
+
+        const cart = await Cart.findOne({ userId: req.auth.id });
+        const item = cart && cart.items.id(itemId);
+        if (!item) {
+          return res.status(404).json({ message: 'Cart item not found.' });
         }
 
-        const reviews = await Review.find({ productId }).populate('userId', 'username');
+        const product = await Product.findById(item.productId);
+        if (!product) {
+          return res.status(409).json({ message: 'This product is no longer sold. Please remove it from your cart.' });
+        }
+        const { variant } = resolveSelection(product, item);
+        const available = getAvailableStock(product, variant);
+        if (quantity > available) {
+          return res.status(409).json({ message: `Only ${available} left in stock for "${product.name}".` });
+        }
+
+        item.quantity = quantity;
+        await cart.save();
+        res.status(200).json({ message: '✅ Cart updated!', cart: await cartResponse(cart) });
+      } catch (err) {
+        console.error('❌ Error updating cart item:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid cart item ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to update cart.', error: err.message });
+      }
+    });
+
+    app.delete('/api/cart/items/:itemId', requireRole('user'), async (req, res) => {
+      try {
+        const { itemId } = req.params;
 
-        const formattedReviews = reviews.map(review => ({
-          _id: review._id,
-          productId: review.productId,
-          userId: review.userId ? review.userId._id : null,
-          username: review.userId ? review.userId.username : 'Deleted User',
-          rating: review.rating,
-          comment: review.comment,
-          createdAt: review.createdAt,
-        }));
+        const cart = await Cart.findOne({ userId: req.auth.id });
+        const item = cart && cart.items.id(itemId);
+        if (!item) {
+          return res.status(404).json({ message: 'Cart item not found.' });
+        }
 
-        res.status(200).json(formattedReviews);
+        item.deleteOne();
+        await cart.save();
+        res.status(200).json({ message: '✅ Removed from cart!', cart: await cartResponse(cart) });
       } catch (err) {
-        console.error('❌ Error fetching reviews:', err);
+        console.error('❌ Error removing cart item:', err);
         if (err.name === 'CastError') {
-            return res.status(400).json({ message: 'Invalid product ID format' });
+          return res.status(400).json({ message: 'Invalid cart item ID format.' });
         }
-        res.status(500).json({ message: '❌ Failed to fetch reviews.', error: err.message });
+        res.status(500).json({ message: '❌ Failed to remove cart item.', error: err.message });
       }
     });
 
-    // --- Admin Specific API Routes ---
-    app.post('/api/admin/login', async (req, res) => {
-        const { username, password } = req.body;
+    app.delete('/api/cart', requireRole('user'), async (req, res) => {
+      try {
+        await Cart.updateOne({ userId: req.auth.id }, { $set: { items: [], updatedAt: Date.now() } });
+        res.status(200).json({ message: '✅ Cart cleared!' });
+      } catch (err) {
+        console.error('❌ Error clearing cart:', err);
+        res.status(500).json({ message: '❌ Failed to clear cart.', error: err.message });
+      }
+    });
 
-        // --- IMPORTANT: For production, hash passwords and store them securely! ---
-        // For this demo, we're using hardcoded values as requested.
-        const ADMIN_USERNAME = 'slugma';
-        const ADMIN_PASSWORD = 'firepokemon'; // In real app: this would be a hashed password
+    // POST /api/checkout/quote: Exactly what checkout will charge, without placing the order.
+    // Body { items (defaults to the cart), couponCode, addressId or shippingAddress }; with no
+    // address the default saved address is used. Send `grandTotal` back as `totalPrice` at checkout.
+    app.post('/api/checkout/quote', requireRole('user'), async (req, res) => {
+      try {
+        const { couponCode, addressId } = req.body;
+        let items = req.body.items;
+        if (!items) {
+          const cart = await Cart.findOne({ userId: req.auth.id });
+          items = cart ? cart.items : [];
+        }
 
-        if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-            // In a real app, you'd generate a JWT or set a session here
-            res.status(200).json({ message: '✅ Admin login successful!', token: 'admin-auth-token-example' });
-        } else {
-            res.status(401).json({ message: '❌ Invalid admin credentials' });
+        const shippingAddress = await resolveShippingAddress(req.auth.id, { shippingAddress: req.body.shippingAddress, addressId });
+        if (!shippingAddress || !shippingAddress.pincode || !shippingAddress.state) {
+          return res.status(400).json({ message: 'A delivery address (pincode and state) is needed to calculate shipping and tax.' });
         }
+        const quote = await quoteOrder({ items, couponCode, userId: req.auth.id, shippingAddress });
+
+        res.status(200).json({
+          lines: quote.lines,
+          subtotal: quote.subtotal,
+          discounts: quote.discounts,
+          discount: quote.discountTotal,
+          shipping: quote.shipping,
+          tax: quote.tax,
+          taxLines: quote.taxes.taxLines,
+          pricesIncludeTax: quote.taxes.pricesIncludeTax,
+          grandTotal: quote.total,
+          delivery: quote.delivery,
+        });
+      } catch (err) {
+        console.error('❌ Error quoting order:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message, ...err.details });
+        }
+        res.status(500).json({ message: '❌ Failed to calculate order total.', error: err.message });
+      }
+    });
+
+    // POST /api/cart/checkout: Turn the saved cart into an order and empty the cart
+    app.post('/api/cart/checkout', requireRole('user'), async (req, res) => {
+      try {
+        const { shippingAddress, addressId, paymentMethod, couponCode, totalPrice } = req.body;
+
+        const idempotencyKey = req.get('Idempotency-Key');
+        const existingOrder = await findOrderByIdempotencyKey(req.auth.id, idempotencyKey);
+        if (existingOrder) {
+          return res.status(200).json({ message: '✅ Order already placed.', ...(await orderPlacedResponse(existingOrder)) });
+        }
+
+        const cart = await Cart.findOne({ userId: req.auth.id });
+        if (!cart || cart.items.length === 0) {
+          return res.status(400).json({ message: 'Your cart is empty.' });
+        }
+
+        const newOrder = await placeOrder({
+          userId: req.auth.id,
+          items: cart.items,
+          shippingAddress,
+          addressId,
+          paymentMethod,
+          couponCode,
+          expectedTotal: totalPrice,
+          idempotencyKey,
+          actor: req.auth,
+        });
+
+        cart.items = [];
+        await cart.save();
+        res.status(201).json({ message: '✅ Order placed successfully!', ...(await orderPlacedResponse(newOrder)) });
+      } catch (err) {
+        console.error('❌ Error checking out cart:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message, ...err.details });
+        }
+        if (err.name === 'ValidationError') {
+          const messages = Object.values(err.errors).map(val => val.message);
+          return res.status(400).json({ message: 'Validation Error', errors: messages });
+        }
+        res.status(500).json({ message: '❌ Failed to place order. Please try again later.', error: err.message });
+      }
+    });
+
+    // --- API Routes for Wishlist ---
+
+    app.get('/api/wishlist', requireRole('user'), async (req, res) => {
+      try {
+        const wishlist = await Wishlist.findOne({ userId: req.auth.id });
+        const { items } = await describeSavedItems(wishlist ? wishlist.items : []);
+        res.status(200).json({ items });
+      } catch (err) {
+        console.error('❌ Error fetching wishlist:', err);
+        res.status(500).json({ message: '❌ Failed to fetch wishlist', error: err.message });
+      }
+    });
+
+    app.post('/api/wishlist/items', requireRole('user'), async (req, res) => {
+      try {
+        const { productId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+          return res.status(400).json({ message: 'Invalid Product ID.' });
+        }
+        const product = await Product.findById(productId);
+        if (!product) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        // A variant is optional on the wishlist, but if one is given it must exist
+        const size = req.body.size ? matchOption(product.size, req.body.size) : '';
+        const color = req.body.color ? matchOption(product.colors, req.body.color) : '';
+        if (size === null || color === null) {
+          return res.status(400).json({ message: 'This product is not available in the selected size or colour.' });
+        }
+
+        const wishlist = (await Wishlist.findOne({ userId: req.auth.id })) || new Wishlist({ userId: req.auth.id, items: [] });
+        const alreadySaved = wishlist.items.some(item =>
+          item.productId.toString() === productId && item.size === size && item.color === color
+        );
+        if (!alreadySaved) {
+          wishlist.items.push({ productId, size, color });
+          await wishlist.save();
+        }
+
+        const { items } = await describeSavedItems(wishlist.items);
+        res.status(200).json({ message: '✅ Saved to wishlist!', items });
+      } catch (err) {
+        console.error('❌ Error adding to wishlist:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
+        res.status(500).json({ message: '❌ Failed to add to wishlist.', error: err.message });
+      }
+    });
+
+    app.delete('/api/wishlist/items/:itemId', requireRole('user'), async (req, res) => {
+      try {
+        const { itemId } = req.params;
+
+        const wishlist = await Wishlist.findOne({ userId: req.auth.id });
+        const item = wishlist && wishlist.items.id(itemId);
+        if (!item) {
+          return res.status(404).json({ message: 'Wishlist item not found.' });
+        }
+
+        item.deleteOne();
+        await wishlist.save();
+        const { items } = await describeSavedItems(wishlist.items);
+        res.status(200).json({ message: '✅ Removed from wishlist!', items });
+      } catch (err) {
+        console.error('❌ Error removing wishlist item:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid wishlist item ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to remove wishlist item.', error: err.message });
+      }
+    });
+
+    app.delete('/api/wishlist', requireRole('user'), async (req, res) => {
+      try {
+        await Wishlist.updateOne({ userId: req.auth.id }, { $set: { items: [], updatedAt: Date.now() } });
+        res.status(200).json({ message: '✅ Wishlist cleared!' });
+      } catch (err) {
+        console.error('❌ Error clearing wishlist:', err);
+        res.status(500).json({ message: '❌ Failed to clear wishlist.', error: err.message });
+      }
+    });
+
+    // --- API Routes for Payments ---
+
+    // POST /api/orders/:id/payment: Start a new online payment attempt (e.g. after a failed UPI payment)
+    app.post('/api/orders/:id/payment', requireRole('user'), async (req, res) => {
+      try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+          return res.status(404).json({ message: 'Order not found.' });
+        }
+        if (order.userId.toString() !== req.auth.id) {
+          return res.status(403).json({ message: 'You can only pay for your own orders.' });
+        }
+        if (!requiresOnlinePayment(order)) {
+          return res.status(400).json({ message: 'This order is not paid online.' });
+        }
+        if (order.paymentStatus === 'Paid' || order.orderStatus !== 'Pending') {
+          return res.status(400).json({ message: 'This order no longer needs a payment.' });
+        }
+
+        const payment = await startPayment(order);
+        res.status(201).json({ message: '✅ Payment started!', payment: paymentResponse(payment) });
+      } catch (err) {
+        console.error('❌ Error starting payment:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid Order ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to start payment.', error: err.message });
+      }
+    });
+
+    // GET /api/orders/:id/payments: Payment attempts for an order
+    app.get('/api/orders/:id/payments', requireAuth, async (req, res) => {
+      try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+          return res.status(404).json({ message: 'Order not found.' });
+        }
+        if (!isSelfOrAdmin(req, order.userId)) {
+          return res.status(403).json({ message: 'You can only view your own orders.' });
+        }
+
+        const payments = await Payment.find({ orderId: order._id }).select('-checkout').sort({ createdAt: -1 });
+        res.status(200).json(payments);
+      } catch (err) {
+        console.error('❌ Error fetching payments:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid Order ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to fetch payments.', error: err.message });
+      }
+    });
+
+    // POST /api/payments/webhook: Provider notifications. Only signed events are applied.
+    app.post('/api/payments/webhook', async (req, res) => {
+      try {
+        if (!paymentProvider.verifyWebhookSignature(req.rawBody, req.headers)) {
+          return res.status(401).json({ message: 'Invalid webhook signature.' });
+        }
+
+        const event = paymentProvider.parseWebhookEvent(req.rawBody);
+        if (!event.id || !event.type || !event.providerOrderId) {
+          return res.status(400).json({ message: 'Malformed webhook event.' });
+        }
+
+        const outcome = await handlePaymentEvent(event);
+        console.log(`💳 Payment webhook ${event.id} (${event.type}): ${outcome}`);
+        res.status(200).json({ message: 'Webhook received.', outcome });
+      } catch (err) {
+        // A non-2xx answer makes the provider retry delivery later
+        console.error('❌ Error handling payment webhook:', err);
+        res.status(500).json({ message: '❌ Failed to process webhook.', error: err.message });
+      }
+    });
+
+    // --- API Routes for Notifications (in-app inbox) ---
+
+    // GET /api/notifications?unread=true&page=1&limit=20: The caller's notifications, newest first
+    app.get('/api/notifications', requireRole('user'), async (req, res) => {
+      try {
+        const page = Math.max(parseIntOrDefault(req.query.page, 1), 1);
+        const limit = Math.min(Math.max(parseIntOrDefault(req.query.limit, 20), 1), 100);
+        const filter = { userId: req.auth.id };
+        if (req.query.unread === 'true') filter.readAt = null;
+
+        const [notifications, total, unreadCount] = await Promise.all([
+          Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+          Notification.countDocuments(filter),
+          Notification.countDocuments({ userId: req.auth.id, readAt: null }),
+        ]);
+        res.status(200).json({
+          notifications,
+          unreadCount,
+          pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        });
+      } catch (err) {
+        console.error('❌ Error fetching notifications:', err);
+        res.status(500).json({ message: '❌ Failed to fetch notifications', error: err.message });
+      }
+    });
+
+    // GET /api/notifications/unread-count: Badge count for the inbox icon
+    app.get('/api/notifications/unread-count', requireRole('user'), async (req, res) => {
+      try {
+        const unreadCount = await Notification.countDocuments({ userId: req.auth.id, readAt: null });
+        res.status(200).json({ unreadCount });
+      } catch (err) {
+        console.error('❌ Error counting notifications:', err);
+        res.status(500).json({ message: '❌ Failed to count notifications', error: err.message });
+      }
+    });
+
+    // PUT /api/notifications/read-all: Mark every notification as read
+    app.put('/api/notifications/read-all', requireRole('user'), async (req, res) => {
+      try {
+        const result = await Notification.updateMany({ userId: req.auth.id, readAt: null }, { readAt: new Date() });
+        res.status(200).json({ message: '✅ All notifications marked as read!', updated: result.modifiedCount });
+      } catch (err) {
+        console.error('❌ Error marking notifications as read:', err);
+        res.status(500).json({ message: '❌ Failed to mark notifications as read', error: err.message });
+      }
+    });
+
+    // PUT /api/notifications/:id/read and /api/notifications/:id/unread
+    const setNotificationRead = (read) => async (req, res) => {
+      try {
+        const notification = await Notification.findOneAndUpdate(
+          { _id: req.params.id, userId: req.auth.id },
+          { readAt: read ? new Date() : null },
+          { new: true }
+        );
+        if (!notification) {
+          return res.status(404).json({ message: 'Notification not found.' });
+        }
+        res.status(200).json({ message: `✅ Notification marked as ${read ? 'read' : 'unread'}!`, notification });
+      } catch (err) {
+        console.error('❌ Error updating notification:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid notification ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to update notification', error: err.message });
+      }
+    };
+    app.put('/api/notifications/:id/read', requireRole('user'), setNotificationRead(true));
+    app.put('/api/notifications/:id/unread', requireRole('user'), setNotificationRead(false));
+
+    // --- API Routes for Returns & Exchanges ---
+    // Customers request returns/exchanges of delivered line items within RETURN_WINDOW_DAYS;
+    // fulfilment staff then move each request through utils/returns.js.
+
+    const RETURN_NOT_FOUND = 'Return request not found.';
+
+    // Replies for sendError specific to return requests
+    const RETURN_ERRORS = { conflict: 'Return request was changed by someone else. Please reload and try again.' };
+
+    // `items` arrives as a JSON string from multipart forms or an array from JSON bodies
+    const parseReturnItems = (value) => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        throw new HttpError(400, 'Items must be a JSON array.');
+      }
+    };
+
+    // POST /api/orders/:id/returns: Request a return or exchange (multipart, up to 5 `photos`)
+    // Body: { type: 'return' | 'exchange', reason, items: [{ lineItemId, quantity, exchangeSize, exchangeColor }] }
+    app.post('/api/orders/:id/returns', requireRole('user'), acceptImages([{ name: 'photos', maxCount: 5 }]), async (req, res) => {
+      let photos = [];
+      try {
+        const { type, reason } = req.body;
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+          return res.status(404).json({ message: 'Order not found.' });
+        }
+        if (order.userId.toString() !== req.auth.id) {
+          return res.status(403).json({ message: 'You can only return items from your own orders.' });
+        }
+        if (!['return', 'exchange'].includes(type)) {
+          return res.status(400).json({ message: "Type must be 'return' or 'exchange'." });
+        }
+
+        assertOrderReturnable(order);
+        const items = await buildReturnItems(order, type, parseReturnItems(req.body.items));
+
+        photos = await processImages(uploadedFiles(req, 'photos'), 'return');
+        const returnRequest = new ReturnRequest({
+          orderId: order._id,
+          userId: order.userId,
+          type,
+          reason,
+          items,
+          photos,
+          history: [{ from: null, to: 'Requested', changedBy: { role: 'user', id: req.auth.id } }],
+        });
+        await returnRequest.save();
+
+        res.status(201).json({ message: `✅ ${type === 'exchange' ? 'Exchange' : 'Return'} requested successfully!`, returnRequest });
+      } catch (err) {
+        await deleteImages(photos);
+        sendError(res, err, 'request return', RETURN_ERRORS);
+      }
+    });
+
+    // GET /api/orders/:id/returns: Return requests for one order
+    app.get('/api/orders/:id/returns', requireAuth, async (req, res) => {
+      try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+          return res.status(404).json({ message: 'Order not found.' });
+        }
+        if (!isSelfOrAdmin(req, order.userId)) {
+          return res.status(403).json({ message: 'You can only view your own orders.' });
+        }
+
+        const returnRequests = await ReturnRequest.find({ orderId: order._id }).sort({ createdAt: -1 });
+        res.status(200).json({ returnWindowDays: RETURN_WINDOW_DAYS, returnRequests });
+      } catch (err) {
+        sendError(res, err, 'fetch return requests', RETURN_ERRORS);
+      }
+    });
+
+    // GET /api/returns: The caller's return requests
+    app.get('/api/returns', requireRole('user'), async (req, res) => {
+      try {
+        const returnRequests = await ReturnRequest.find({ userId: req.auth.id }).sort({ createdAt: -1 });
+        res.status(200).json(returnRequests);
+      } catch (err) {
+        sendError(res, err, 'fetch return requests', RETURN_ERRORS);
+      }
+    });
+
+    // GET /api/returns/:id: One return request (its customer or staff), with the refund it qualifies for
+    app.get('/api/returns/:id', requireAuth, async (req, res) => {
+      try {
+        const returnRequest = await ReturnRequest.findById(req.params.id)
+          .populate('orderId', 'pricing totalPrice refundedAmount paymentMethod paymentStatus orderStatus');
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+        if (!isSelfOrAdmin(req, returnRequest.userId)) {
+          return res.status(403).json({ message: 'You can only view your own return requests.' });
+        }
+
+        const suggestedRefund = returnRequest.type === 'return' && returnRequest.orderId
+          ? suggestedRefundAmount(returnRequest.orderId, returnRequest)
+          : null;
+        res.status(200).json({ returnRequest, suggestedRefundAmount: suggestedRefund });
+      } catch (err) {
+        sendError(res, err, 'fetch return request', RETURN_ERRORS);
+      }
+    });
+
+    // GET /api/admin/returns?status=Requested: Return requests for the fulfilment queue
+    app.get('/api/admin/returns', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.type) filter.type = req.query.type;
+
+        const returnRequests = await ReturnRequest.find(filter)
+          .populate('userId', 'username mobileNumber')
+          .sort({ createdAt: -1 });
+        res.status(200).json(returnRequests);
+      } catch (err) {
+        sendError(res, err, 'fetch return requests', RETURN_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/returns/:id/approve: Body { note }
+    app.put('/api/admin/returns/:id/approve', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+
+        applyReturnStatus(returnRequest, 'Approved', req.auth, req.body.note);
+        await returnRequest.save();
+        res.status(200).json({ message: '✅ Return request approved!', returnRequest });
+      } catch (err) {
+        sendError(res, err, 'approve return request', RETURN_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/returns/:id/reject: Body { note } (shown to the customer, required)
+    app.put('/api/admin/returns/:id/reject', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const { note } = req.body;
+        if (!note || !String(note).trim()) {
+          return res.status(400).json({ message: 'Please give the customer a reason for the rejection.' });
+        }
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+
+        applyReturnStatus(returnRequest, 'Rejected', req.auth, String(note).trim());
+        await returnRequest.save();
+        res.status(200).json({ message: '✅ Return request rejected.', returnRequest });
+      } catch (err) {
+        sendError(res, err, 'reject return request', RETURN_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/returns/:id/pickup: Schedule the pickup. Body { courier, trackingNumber, scheduledFor, note }
+    app.put('/api/admin/returns/:id/pickup', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const { courier, trackingNumber, scheduledFor, note } = req.body;
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+
+        applyReturnStatus(returnRequest, 'Pickup Scheduled', req.auth, note);
+        returnRequest.pickup.courier = courier || '';
+        returnRequest.pickup.trackingNumber = trackingNumber || '';
+        returnRequest.pickup.scheduledFor = scheduledFor || null;
+        await returnRequest.save();
+        res.status(200).json({ message: '✅ Pickup scheduled!', returnRequest });
+      } catch (err) {
+        sendError(res, err, 'schedule pickup', RETURN_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/returns/:id/picked-up: The courier has collected the parcel. Body { note }
+    app.put('/api/admin/returns/:id/picked-up', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+
+        applyReturnStatus(returnRequest, 'Picked Up', req.auth, req.body.note);
+        returnRequest.pickup.pickedUpAt = new Date();
+        await returnRequest.save();
+        res.status(200).json({ message: '✅ Return marked as picked up!', returnRequest });
+      } catch (err) {
+        sendError(res, err, 'mark return as picked up', RETURN_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/returns/:id/receive: Parcel inspected at the warehouse.
+    // Body { restock = true, note }; send restock: false for damaged items.
+    app.put('/api/admin/returns/:id/receive', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const { restock, note } = req.body;
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+
+        await receiveReturn(returnRequest, { restock: restock !== false && restock !== 'false', note }, req.auth);
+        res.status(200).json({ message: '✅ Return received successfully!', returnRequest });
+      } catch (err) {
+        sendError(res, err, 'receive return', RETURN_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/returns/:id/refund: Record the refund for a received return.
+    // Body { amount, method, reference, note }; amount defaults to the suggested refund.
+    app.put('/api/admin/returns/:id/refund', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+        const order = await Order.findById(returnRequest.orderId);
+        if (!order) {
+          return res.status(404).json({ message: 'Order not found.' });
+        }
+
+        const { amount, method, reference, note } = req.body;
+        await refundReturn(order, returnRequest, { amount, method, reference, note }, req.auth);
+        res.status(200).json({ message: '✅ Refund recorded successfully!', returnRequest });
+      } catch (err) {
+        sendError(res, err, 'record refund', RETURN_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/returns/:id/exchange: Ship the replacement items. Body { trackingNumber, note }
+    app.put('/api/admin/returns/:id/exchange', requireAdmin('fulfilment'), async (req, res) => {
+      try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+          return res.status(404).json({ message: RETURN_NOT_FOUND });
+        }
+
+        const { trackingNumber, note } = req.body;
+        await completeExchange(returnRequest, { trackingNumber, note }, req.auth);
+        res.status(200).json({ message: '✅ Replacement shipped successfully!', returnRequest });
+      } catch (err) {
+        sendError(res, err, 'complete exchange', RETURN_ERRORS);
+      }
+    });
+
+    // --- API Routes for Coupons & Promotions ---
+
+    // Fields staff may set on a coupon; everything else (usedCount, timestamps) is server-managed
+    const COUPON_FIELDS = [
+      'code', 'name', 'description', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity',
+      'minCartValue', 'usageLimit', 'perUserLimit', 'validFrom', 'validUntil',
+      'applicableCategories', 'applicableProducts', 'autoApply', 'active',
+    ];
+
+    const pickCouponFields = (body) => {
+      const fields = {};
+      COUPON_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        // Blank optional limits and dates from admin forms mean "no limit"
+        fields[field] = body[field] === '' ? null : body[field];
+      });
+      if (fields.applicableCategories !== undefined) fields.applicableCategories = ensureArray(fields.applicableCategories);
+      if (fields.applicableProducts !== undefined) fields.applicableProducts = ensureArray(fields.applicableProducts);
+      return fields;
+    };
+
+    // POST /api/coupons/validate: Preview discounts for the caller's cart (or the given items).
+    // With `addressId` or `shippingAddress` the total includes shipping, as it will at checkout.
+    app.post('/api/coupons/validate', requireRole('user'), async (req, res) => {
+      try {
+        const { couponCode, addressId } = req.body;
+        let items = req.body.items;
+
+        if (!items) {
+          const cart = await Cart.findOne({ userId: req.auth.id });
+          items = cart ? cart.items : [];
+        }
+
+        const shippingAddress = addressId || req.body.shippingAddress
+          ? await resolveShippingAddress(req.auth.id, { shippingAddress: req.body.shippingAddress, addressId })
+          : undefined;
+        const quote = await quoteOrder({ items, couponCode, userId: req.auth.id, shippingAddress });
+        res.status(200).json({
+          message: couponCode ? '✅ Coupon applied!' : '✅ Promotions checked.',
+          subtotal: quote.subtotal,
+          discounts: quote.discounts,
+          discountTotal: quote.discountTotal,
+          shipping: quote.shipping,
+          tax: quote.tax,
+          delivery: quote.delivery,
+          total: quote.total,
+        });
+      } catch (err) {
+        console.error('❌ Error validating coupon:', err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
+        res.status(500).json({ message: '❌ Failed to validate coupon.', error: err.message });
+      }
+    });
+
+    app.get('/api/admin/coupons', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+        res.status(200).json(coupons);
+      } catch (err) {
+        console.error('❌ Error fetching coupons:', err);
+        res.status(500).json({ message: '❌ Failed to fetch coupons', error: err.message });
+      }
+    });
+
+    app.get('/api/admin/coupons/:id', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+          return res.status(404).json({ message: 'Coupon not found.' });
+        }
+        res.status(200).json(coupon);
+      } catch (err) {
+        console.error('❌ Error fetching coupon:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid coupon ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to fetch coupon', error: err.message });
+      }
+    });
+
+    app.post('/api/admin/coupons', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const fields = pickCouponFields(req.body);
+
+        if (fields.code && (await Coupon.exists({ code: String(fields.code).trim().toUpperCase() }))) {
+          return res.status(400).json({ message: 'Coupon with this code already exists.' });
+        }
+
+        const newCoupon = new Coupon(fields);
+        await newCoupon.save();
+        res.status(201).json({ message: '✅ Coupon created successfully!', coupon: newCoupon });
+      } catch (err) {
+        console.error('❌ Error creating coupon:', err);
+        if (err.name === 'ValidationError') {
+          const messages = Object.values(err.errors).map(val => val.message);
+          return res.status(400).json({ message: 'Validation Error', errors: messages });
+        }
+        res.status(500).json({ message: '❌ Failed to create coupon.', error: err.message });
+      }
+    });
+
+    app.put('/api/admin/coupons/:id', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+          return res.status(404).json({ message: 'Coupon not found.' });
+        }
+
+        const fields = pickCouponFields(req.body);
+        if (fields.code) {
+          const code = String(fields.code).trim().toUpperCase();
+          if (code !== coupon.code && (await Coupon.exists({ code }))) {
+            return res.status(400).json({ message: 'Coupon with this code already exists.' });
+          }
+        }
+
+        coupon.set(fields);
+        await coupon.save();
+        res.status(200).json({ message: '✅ Coupon updated successfully!', coupon });
+      } catch (err) {
+        console.error('❌ Error updating coupon:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid coupon data or ID format.' });
+        }
+        if (err.name === 'ValidationError') {
+          const messages = Object.values(err.errors).map(val => val.message);
+          return res.status(400).json({ message: 'Validation Error', errors: messages });
+        }
+        res.status(500).json({ message: '❌ Failed to update coupon.', error: err.message });
+      }
+    });
+
+    // Coupons already used by orders keep their discount record on the order, so deleting is safe
+    app.delete('/api/admin/coupons/:id', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+        if (!coupon) {
+          return res.status(404).json({ message: 'Coupon not found.' });
+        }
+        res.status(200).json({ message: '✅ Coupon deleted successfully!' });
+      } catch (err) {
+        console.error('❌ Error deleting coupon:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid coupon ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to delete coupon.', error: err.message });
+      }
+    });
+
+    // --- Admin Analytics & Reports ---
+    // Sales figures are for the owner; catalogue editors may see product ratings. Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 30 days) and ?format=csv.
+
+    // Handler for the report `name`. `buildReport(range, query)` returns a row or a list of rows.
+    const reportHandler = (name, buildReport) => async (req, res) => {
+      try {
+        const range = parseReportRange(req.query);
+        const result = await buildReport(range, req.query);
+
+        if (req.query.format === 'csv') {
+          const rows = Array.isArray(result) ? result : [result];
+          const day = (date) => date.toISOString().slice(0, 10);
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          res.setHeader('Content-Disposition', `attachment; filename="${name}-${day(range.from)}-to-${day(range.to)}.csv"`);
+          return res.status(200).send(toCsv(rows, REPORT_COLUMNS[name]));
+        }
+        res.status(200).json({ from: range.from, to: range.to, timezone: REPORT_TIMEZONE, data: result });
+      } catch (err) {
+        console.error(`❌ Error building ${name} report:`, err);
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message });
+        }
+        res.status(500).json({ message: `❌ Failed to build ${name} report.`, error: err.message });
+      }
+    };
+
+    // Orders, revenue, average order value, cancellation rate (%) and refunds for the range
+    app.get('/api/admin/analytics/summary', requireAdmin('owner'), reportHandler('summary', range => salesSummary(range)));
+
+    // ?interval=day|week|month
+    app.get('/api/admin/analytics/revenue', requireAdmin('owner'), reportHandler('revenue', (range, query) =>
+      revenueByPeriod(range, query.interval || 'day')
+    ));
+
+    // ?sortBy=units|revenue&limit=10
+    app.get('/api/admin/analytics/best-sellers', requireAdmin('owner'), reportHandler('best-sellers', (range, query) =>
+      bestSellers(range, {
+        sortBy: query.sortBy || 'units',
+        limit: Math.min(Math.max(parseIntOrDefault(query.limit, 10), 1), 100),
+      })
+    ));
+
+    app.get('/api/admin/analytics/sales-by-category', requireAdmin('owner'), reportHandler('sales-by-category', range => salesByCategory(range)));
+
+    app.get('/api/admin/analytics/sales-by-state', requireAdmin('owner'), reportHandler('sales-by-state', range => salesByState(range)));
+
+    // Based on reviews written in the range. ?maxRating=3&minReviews=1&limit=20
+    app.get('/api/admin/analytics/low-rated-products', requireAdmin('catalog-editor'), reportHandler('low-rated-products', (range, query) =>
+      lowRatedProducts(range, {
+        maxRating: parseNumberOrDefault(query.maxRating, 3),
+        minReviews: parseIntOrDefault(query.minReviews, 1),
+        limit: Math.min(Math.max(parseIntOrDefault(query.limit, 20), 1), 100),
+      })
+    ));
+
+    // --- API Routes for Reviews ---
+
+    // Replies for sendError specific to reviews
+    const REVIEW_ERRORS = {
+      conflict: 'Review was changed by someone else. Please reload and try again.',
+      duplicate: 'You have already submitted a review for this product.',
+    };
+
+    const parseRating = (value) => {
+      const rating = Number(value);
+      if (value === undefined || value === '' || !Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw new HttpError(400, 'Rating must be between 1 and 5 stars.');
+      }
+      return rating;
+    };
+
+    const findReview = async (id) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new HttpError(400, 'Invalid review ID.');
+      }
+      const review = await Review.findById(id);
+      if (!review) {
+        throw new HttpError(404, 'Review not found.');
+      }
+      return review;
+    };
+
+    // POST /api/reviews: Review a purchased product (JSON, or multipart with up to 5 `images`).
+    // Goes live straight away unless REVIEWS_REQUIRE_APPROVAL is set.
+    app.post('/api/reviews', requireRole('user'), acceptImages([{ name: 'images', maxCount: MAX_REVIEW_IMAGES }]), async (req, res) => {
+      let images = [];
+      try {
+        const { productId, comment } = req.body;
+        const userId = req.auth.id;
+
+        if (req.body.userId && req.body.userId !== userId) {
+          return res.status(403).json({ message: 'You can only submit reviews as yourself.' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+          return res.status(400).json({ message: 'Invalid Product ID.' });
+        }
+        const rating = parseRating(req.body.rating);
+
+        const existingReview = await Review.findOne({ productId, userId });
+        if (existingReview) {
+          return res.status(409).json({ message: 'You have already submitted a review for this product.' });
+        }
+
+        const hasPurchasedAndConfirmed = await Order.exists({
+            userId: userId,
+            'products.productId': productId,
+            orderStatus: 'Delivered & Confirmed'
+        });
+
+        if (!hasPurchasedAndConfirmed) {
+            return res.status(403).json({ message: 'You can only review products you have purchased and confirmed receipt of.' });
+        }
+
+        images = await processImages(uploadedFiles(req, 'images'), 'review');
+        const newReview = new Review({
+          productId,
+          userId,
+          rating,
+          comment: comment || '',
+          images,
+          status: REVIEWS_REQUIRE_APPROVAL ? 'pending' : 'approved',
+        });
+
+        await newReview.save();
+        await refreshRatingSummary(newReview.productId);
+        res.status(201).json({
+          message: newReview.status === 'pending'
+            ? '✅ Review submitted! It will appear once it has been approved.'
+            : '✅ Review submitted successfully!',
+          review: newReview,
+        });
+
+      } catch (err) {
+        await deleteImages(images);
+        sendError(res, err, 'submit review', REVIEW_ERRORS);
+      }
+    });
+
+    // GET /api/reviews/:productId?sort=newest|highest|lowest|helpful&rating=&paginate=true&page=&limit=
+    // Published reviews of a product as an array, or with ?paginate=true one page as
+    // { reviews, myReview, sort, pagination }. Signed-in callers also get their own vote on each
+    // review, and with paginate=true their own review as `myReview`, even while it is awaiting moderation.
+    app.get('/api/reviews/:productId', optionalAuth, async (req, res) => {
+      try {
+        const { productId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+          return res.status(400).json({ message: 'Invalid Product ID.' });
+        }
+        const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
+        const filter = { productId, ...VISIBLE_REVIEW_FILTER };
+        const rating = parseIntOrDefault(req.query.rating, null);
+        if (rating !== null) filter.rating = rating;
+
+        const viewerId = req.auth && req.auth.role === 'user' ? req.auth.id : null;
+        if (req.query.paginate !== 'true') {
+          const reviews = await Review.find(filter).sort(REVIEW_SORTS[sort]).populate('userId', 'username');
+          return res.status(200).json(reviews.map(review => formatReview(review, viewerId)));
+        }
+
+        const page = Math.max(parseIntOrDefault(req.query.page, 1), 1);
+        const limit = Math.min(Math.max(parseIntOrDefault(req.query.limit, 10), 1), 50);
+        const [reviews, total, myReview] = await Promise.all([
+          Review.find(filter).sort(REVIEW_SORTS[sort]).skip((page - 1) * limit).limit(limit).populate('userId', 'username'),
+          Review.countDocuments(filter),
+          viewerId ? Review.findOne({ productId, userId: viewerId }).populate('userId', 'username') : null,
+        ]);
+
+        res.status(200).json({
+          reviews: reviews.map(review => formatReview(review, viewerId)),
+          myReview: myReview ? formatReview(myReview, viewerId) : null,
+          sort,
+          pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        });
+      } catch (err) {
+        sendError(res, err, 'fetch reviews', REVIEW_ERRORS);
+      }
+    });
+
+    // PUT /api/reviews/:id: Author edits their review (JSON or multipart). Body { rating, comment,
+    // removeImageIds }, plus new `images`. Edits go back through moderation when it is required.
+    app.put('/api/reviews/:id', requireRole('user'), acceptImages([{ name: 'images', maxCount: MAX_REVIEW_IMAGES }]), async (req, res) => {
+      let newImages = [];
+      try {
+        const review = await findReview(req.params.id);
+        if (review.userId.toString() !== req.auth.id) {
+          return res.status(403).json({ message: 'You can only edit your own review.' });
+        }
+
+        if (req.body.rating !== undefined) review.rating = parseRating(req.body.rating);
+        if (req.body.comment !== undefined) review.comment = req.body.comment;
+        const removeIds = ensureArray(req.body.removeImageIds);
+        const removedImages = review.images.filter(image => removeIds.includes(image._id.toString()));
+        const uploads = uploadedFiles(req, 'images');
+        if (review.images.length - removedImages.length + uploads.length > MAX_REVIEW_IMAGES) {
+          return res.status(400).json({ message: `A review can have at most ${MAX_REVIEW_IMAGES} photos.` });
+        }
+
+        newImages = await processImages(uploads, 'review');
+        review.images = [...review.images.filter(image => !removedImages.includes(image)), ...newImages];
+        review.status = statusAfterAuthorChange(review);
+        review.editedAt = new Date();
+        await review.save();
+        await refreshRatingSummary(review.productId);
+        await deleteImages(removedImages);
+
+        res.status(200).json({
+          message: !isVisibleReview(review)
+            ? '✅ Review updated! It will appear again once it has been approved.'
+            : '✅ Review updated successfully!',
+          review,
+        });
+      } catch (err) {
+        await deleteImages(newImages);
+        sendError(res, err, 'update review', REVIEW_ERRORS);
+      }
+    });
+
+    // DELETE /api/reviews/:id: Authors delete their own review; catalog editors can delete any
+    app.delete('/api/reviews/:id', requireRole('user', 'admin'), async (req, res) => {
+      try {
+        const review = await findReview(req.params.id);
+        const isAuthor = req.auth.role === 'user' && review.userId.toString() === req.auth.id;
+        const isEditor = req.auth.role === 'admin' && ['owner', 'catalog-editor'].includes(req.auth.adminRole);
+        if (!isAuthor && !isEditor) {
+          return res.status(403).json({ message: 'You can only delete your own review.' });
+        }
+
+        await Review.deleteOne({ _id: review._id });
+        await refreshRatingSummary(review.productId);
+        await deleteImages(review.images);
+        res.status(200).json({ message: '✅ Review deleted successfully!' });
+      } catch (err) {
+        sendError(res, err, 'delete review', REVIEW_ERRORS);
+      }
+    });
+
+    // POST /api/reviews/:id/vote: Mark a review helpful or not. Body { helpful: true | false | null }
+    app.post('/api/reviews/:id/vote', requireRole('user'), async (req, res) => {
+      try {
+        const review = await findReview(req.params.id);
+        if (!isVisibleReview(review)) {
+          return res.status(404).json({ message: 'Review not found.' });
+        }
+        applyVote(review, new mongoose.Types.ObjectId(String(req.auth.id)), req.body.helpful === undefined ? null : req.body.helpful);
+        await review.save();
+        res.status(200).json({
+          message: '✅ Thanks for your feedback!',
+          helpfulCount: review.helpfulCount,
+          notHelpfulCount: review.notHelpfulCount,
+          myVote: req.body.helpful === undefined ? null : req.body.helpful,
+        });
+      } catch (err) {
+        sendError(res, err, 'vote on review', REVIEW_ERRORS);
+      }
+    });
+
+    // POST /api/reviews/:id/report: Report an abusive or off-topic review. Body { reason }.
+    // The review is flagged for staff and hidden from shoppers until they approve or hide it.
+    app.post('/api/reviews/:id/report', requireRole('user'), async (req, res) => {
+      try {
+        const review = await findReview(req.params.id);
+        if (!isVisibleReview(review)) {
+          return res.status(404).json({ message: 'Review not found.' });
+        }
+        if (review.userId.toString() === req.auth.id) {
+          return res.status(400).json({ message: 'You cannot report your own review.' });
+        }
+        if (review.reports.some(report => report.userId.toString() === req.auth.id)) {
+          return res.status(409).json({ message: 'You have already reported this review.' });
+        }
+
+        review.reports.push({ userId: req.auth.id, reason: req.body.reason || '' });
+        review.status = 'flagged';
+        await review.save();
+        await refreshRatingSummary(review.productId);
+        res.status(200).json({ message: '✅ Thanks, our team will take a look at this review.' });
+      } catch (err) {
+        sendError(res, err, 'report review', REVIEW_ERRORS);
+      }
+    });
+
+    // GET /api/admin/reviews?status=pending,flagged&productId=&page=&limit=: Moderation queue, oldest first
+    app.get('/api/admin/reviews', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const statuses = req.query.status ? ensureArray(req.query.status) : ['pending', 'flagged'];
+        const invalidStatus = statuses.find(status => !Review.STATUSES.includes(status));
+        if (invalidStatus) {
+          return res.status(400).json({ message: `${invalidStatus} is not a valid review status.` });
+        }
+        const page = Math.max(parseIntOrDefault(req.query.page, 1), 1);
+        const limit = Math.min(Math.max(parseIntOrDefault(req.query.limit, 20), 1), 100);
+        // Reviews from before moderation have no status and count as approved
+        const filter = { status: statuses.includes('approved') ? { $in: [...statuses, null] } : { $in: statuses } };
+        if (req.query.productId) filter.productId = req.query.productId;
+
+        const [reviews, total] = await Promise.all([
+          Review.find(filter)
+            .sort({ createdAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-votes')
+            .populate('userId', 'username')
+            .populate('productId', 'name image'),
+          Review.countDocuments(filter),
+        ]);
+        res.status(200).json({ reviews, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+      } catch (err) {
+        sendError(res, err, 'fetch review queue', REVIEW_ERRORS);
+      }
+    });
+
+    // PUT /api/admin/reviews/:id/moderate: Approve, hide or flag a review. Body { status, note }
+    app.put('/api/admin/reviews/:id/moderate', requireAdmin('catalog-editor'), async (req, res) => {
+      try {
+        const { status, note } = req.body;
+        if (!MODERATION_STATUSES.includes(status)) {
+          return res.status(400).json({ message: `Status must be one of: ${MODERATION_STATUSES.join(', ')}.` });
+        }
+        const review = await findReview(req.params.id);
+
+        review.status = status;
+        review.moderation = { note: note || '', moderatedBy: req.auth.id, moderatedAt: new Date() };
+        await review.save();
+        await refreshRatingSummary(review.productId);
+        res.status(200).json({ message: `✅ Review ${status === 'approved' ? 'approved' : status === 'hidden' ? 'hidden' : 'flagged'}!`, review });
+      } catch (err) {
+        sendError(res, err, 'moderate review', REVIEW_ERRORS);
+      }
+    });
+
+    // --- Admin Specific API Routes ---
+    app.post('/api/admin/login', async (req, res) => {
+      try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+          return res.status(400).json({ message: 'Please enter username and password' });
+        }
+
+        const admin = await Admin.findOne({ username });
+
+        if (admin && admin.active && (await admin.matchPassword(password))) {
+          admin.lastLoginAt = new Date();
+          await admin.save();
+
+          const tokens = generateTokens({ id: admin._id, role: 'admin', adminRole: admin.role });
+          const adminResponse = admin.toObject();
+          delete adminResponse.password;
+          // `token` is kept for the admin panel, which reads the access token from that field
+          res.status(200).json({ message: '✅ Admin login successful!', admin: adminResponse, token: tokens.accessToken, ...tokens });
+        } else {
+          res.status(401).json({ message: '❌ Invalid admin credentials' });
+        }
+      } catch (err) {
+        console.error('❌ Error during admin login:', err);
+        res.status(500).json({ message: '❌ Failed to login. Please try again later.', error: err.message });
+      }
+    });
+
+    // --- Staff Management (owner only) ---
+
+    // Guards against removing or demoting the last active owner, which would lock everyone out
+    const isLastActiveOwner = async (admin) => {
+      if (admin.role !== 'owner' || !admin.active) return false;
+      const otherOwners = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'owner', active: true });
+      return otherOwners === 0;
+    };
+
+    app.get('/api/admin/staff', requireAdmin('owner'), async (req, res) => {
+      try {
+        const staff = await Admin.find({}).select('-password').sort({ createdAt: 1 });
+        res.status(200).json(staff);
+      } catch (err) {
+        console.error('❌ Error fetching staff:', err);
+        res.status(500).json({ message: '❌ Failed to fetch staff', error: err.message });
+      }
+    });
+
+    app.post('/api/admin/staff', requireAdmin('owner'), async (req, res) => {
+      try {
+        const { username, password, role } = req.body;
+
+        if (!username || !password || !role) {
+          return res.status(400).json({ message: 'Please enter username, password and role' });
+        }
+
+        if (await Admin.exists({ username })) {
+          return res.status(400).json({ message: 'Staff member with this username already exists' });
+        }
+
+        const newAdmin = new Admin({ username, password, role });
+        await newAdmin.save();
+
+        const adminResponse = newAdmin.toObject();
+        delete adminResponse.password;
+        res.status(201).json({ message: '✅ Staff member created successfully!', admin: adminResponse });
+      } catch (err) {
+        console.error('❌ Error creating staff member:', err);
+        if (err.name === 'ValidationError') {
+          const messages = Object.values(err.errors).map(val => val.message);
+          return res.status(400).json({ message: 'Validation Error', errors: messages });
+        }
+        res.status(500).json({ message: '❌ Failed to create staff member.', error: err.message });
+      }
+    });
+
+    app.put('/api/admin/staff/:id', requireAdmin('owner'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { username, password, role, active } = req.body;
+
+        // The same value drives the last-owner guard and the update, so it must be a real boolean
+        if (active !== undefined && typeof active !== 'boolean') {
+          return res.status(400).json({ message: 'Active must be true or false.' });
+        }
+
+        const admin = await Admin.findById(id);
+        if (!admin) {
+          return res.status(404).json({ message: 'Staff member not found.' });
+        }
+
+        const losesOwnerAccess = (role !== undefined && role !== 'owner') || active === false;
+        if (losesOwnerAccess && (await isLastActiveOwner(admin))) {
+          return res.status(400).json({ message: 'Cannot demote or deactivate the last active owner.' });
+        }
+
+        if (username && username !== admin.username) {
+          if (await Admin.exists({ username })) {
+            return res.status(400).json({ message: 'Staff member with this username already exists' });
+          }
+          admin.username = username;
+        }
+        if (password) admin.password = password;
+        if (role !== undefined) admin.role = role;
+        if (active !== undefined) admin.active = active;
+
+        await admin.save();
+        const adminResponse = admin.toObject();
+        delete adminResponse.password;
+        res.status(200).json({ message: '✅ Staff member updated successfully!', admin: adminResponse });
+      } catch (err) {
+        console.error('❌ Error updating staff member:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid staff ID format.' });
+        }
+        if (err.name === 'ValidationError') {
+          const messages = Object.values(err.errors).map(val => val.message);
+          return res.status(400).json({ message: 'Validation Error', errors: messages });
+        }
+        res.status(500).json({ message: '❌ Failed to update staff member.', error: err.message });
+      }
+    });
+
+    app.delete('/api/admin/staff/:id', requireAdmin('owner'), async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const admin = await Admin.findById(id);
+        if (!admin) {
+          return res.status(404).json({ message: 'Staff member not found.' });
+        }
+        if (await isLastActiveOwner(admin)) {
+          return res.status(400).json({ message: 'Cannot delete the last active owner.' });
+        }
+
+        await admin.deleteOne();
+        res.status(200).json({ message: '✅ Staff member deleted successfully!' });
+      } catch (err) {
+        console.error('❌ Error deleting staff member:', err);
+        if (err.name === 'CastError') {
+          return res.status(400).json({ message: 'Invalid staff ID format.' });
+        }
+        res.status(500).json({ message: '❌ Failed to delete staff member.', error: err.message });
+      }
     });
 
 
@@ -0,0 +1,33 @@
+// File: backend/services/events.js
+
+const { EventEmitter } = require('events');
+
+// Process-wide bus for domain events. Publishing never waits for subscribers, and a failing
+// subscriber is logged instead of breaking the request that published the event.
+//
+// Events:
+//   order.changed  { order, changes, isNew }
+//       An order was placed (isNew) or its status, delivery option or admin message changed.
+//       `order` is a plain-object snapshot; `changes` are the new `statusHistory` entries.
+const bus = new EventEmitter();
+bus.setMaxListeners(100);
+
+const publish = (name, payload) => {
+  setImmediate(() => bus.emit(name, payload));
+};
+
+// Run `handler(payload)` for every `name` event. Returns a function that unsubscribes.
+const subscribe = (name, handler) => {
+  const listener = (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(err => console.error(`❌ Error handling ${name} event:`, err));
+  };
+  bus.on(name, listener);
+  return () => bus.off(name, listener);
+};
+
+module.exports = {
+  publish,
+  subscribe,
+};
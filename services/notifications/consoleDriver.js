@@ -0,0 +1,12 @@
+// File: backend/services/notifications/consoleDriver.js
+
+// Prints messages instead of sending them. Useful for local development.
+const createConsoleDriver = () => ({
+  name: 'console',
+
+  async send({ channel, to, subject, text }) {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n   ${text}`);
+  },
+});
+
+module.exports = createConsoleDriver;
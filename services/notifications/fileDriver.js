@@ -0,0 +1,22 @@
+// File: backend/services/notifications/fileDriver.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Appends each message as one JSON line, so tests and local setups can inspect what would be sent
+const createFileDriver = ({
+  file = process.env.NOTIFICATIONS_LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'notifications.log'),
+} = {}) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  return {
+    name: 'file',
+
+    async send({ channel, to, subject, text }) {
+      const line = JSON.stringify({ sentAt: new Date().toISOString(), channel, to, subject, text });
+      await fs.promises.appendFile(file, line + '\n');
+    },
+  };
+};
+
+module.exports = createFileDriver;
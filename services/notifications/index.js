@@ -0,0 +1,32 @@
+// File: backend/services/notifications/index.js
+
+// Outbound message drivers for the SMS and email notification channels, selected per channel
+// with SMS_DRIVER and EMAIL_DRIVER:
+//   console (default) - print messages to the server log
+//   file              - append messages as JSON lines to NOTIFICATIONS_LOG_FILE
+//
+// Every driver implements:
+//   name
+//   send({ channel, to, subject, text })  deliver one message (throws on failure)
+
+const createConsoleDriver = require('./consoleDriver');
+const createFileDriver = require('./fileDriver');
+
+const drivers = {
+  console: createConsoleDriver,
+  file: createFileDriver,
+};
+
+const createNotificationDriver = (name = 'console') => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown notification driver "${name}". Use one of: ${Object.keys(drivers).join(', ')}.`);
+  }
+  return factory();
+};
+
+module.exports = {
+  sms: createNotificationDriver(process.env.SMS_DRIVER || 'console'),
+  email: createNotificationDriver(process.env.EMAIL_DRIVER || 'console'),
+};
+module.exports.createNotificationDriver = createNotificationDriver;
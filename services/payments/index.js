@@ -0,0 +1,29 @@
+// File: backend/services/payments/index.js
+
+// Online payment provider, selected with PAYMENT_PROVIDER (default 'mock').
+//
+// Every provider implements:
+//   name
+//   createPayment({ amount, currency, receipt })  -> { providerOrderId, checkout }
+//       `checkout` is whatever the storefront needs to start paying (e.g. a UPI intent URL)
+//   verifyWebhookSignature(rawBody, headers)       -> boolean
+//   parseWebhookEvent(rawBody)                     -> { id, type, providerOrderId, providerPaymentId, amount, reason }
+//       `type` is one of payment.authorized, payment.captured, payment.failed, refund.processed
+//   refund({ providerPaymentId, amount })          -> { refundId }
+
+const createMockProvider = require('./mockProvider');
+
+const providers = {
+  mock: createMockProvider,
+};
+
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}.`);
+  }
+  return factory();
+};
+
+module.exports = createPaymentProvider();
+module.exports.createPaymentProvider = createPaymentProvider;
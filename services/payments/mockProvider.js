@@ -0,0 +1,77 @@
+// File: backend/services/payments/mockProvider.js
+
+const crypto = require('crypto');
+
+// UPI/gateway-style provider that never leaves the machine. Payments are "completed" by
+// sending it a signed webhook, e.g. with scripts/mock-payment-event.js.
+//
+// Webhooks carry an `X-Payment-Signature` header: hex HMAC-SHA256 of the raw body
+// using PAYMENT_WEBHOOK_SECRET. Body format:
+//   { "id": "evt_...", "type": "payment.captured",
+//     "data": { "providerOrderId": "...", "providerPaymentId": "...", "amount": 499, "reason": "..." } }
+const createMockProvider = ({
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET,
+  payeeVpa = process.env.PAYMENT_UPI_VPA || 'slugma@upi',
+  payeeName = process.env.PAYMENT_PAYEE_NAME || 'Slugma',
+} = {}) => {
+  const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+  const sign = (rawBody) => {
+    if (!webhookSecret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET must be set to verify payment webhooks.');
+    }
+    return crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+  };
+
+  return {
+    name: 'mock',
+
+    async createPayment({ amount, currency, receipt }) {
+      const providerOrderId = randomId('mock_order');
+      const params = new URLSearchParams({
+        pa: payeeVpa,
+        pn: payeeName,
+        am: amount.toFixed(2),
+        cu: currency,
+        tr: providerOrderId,
+        tn: `Order ${receipt}`,
+      });
+      return {
+        providerOrderId,
+        checkout: { upiUrl: `upi://pay?${params.toString()}` },
+      };
+    },
+
+    verifyWebhookSignature(rawBody, headers) {
+      const signature = headers['x-payment-signature'];
+      if (!rawBody || typeof signature !== 'string') return false;
+
+      const expected = Buffer.from(sign(rawBody), 'hex');
+      const received = Buffer.from(signature, 'hex');
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    parseWebhookEvent(rawBody) {
+      const body = JSON.parse(rawBody.toString('utf8'));
+      const data = body.data || {};
+      return {
+        id: body.id,
+        type: body.type,
+        providerOrderId: data.providerOrderId,
+        providerPaymentId: data.providerPaymentId || null,
+        amount: data.amount,
+        reason: data.reason || '',
+      };
+    },
+
+    async refund({ providerPaymentId, amount }) {
+      console.log(`💸 [mock payments] Refund of ₹${amount} requested for ${providerPaymentId}`);
+      return { refundId: randomId('mock_refund') };
+    },
+
+    // Exposed for local testing tools that need to forge valid webhooks
+    sign,
+  };
+};
+
+module.exports = createMockProvider;
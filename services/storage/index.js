@@ -0,0 +1,31 @@
+// File: backend/services/storage/index.js
+
+// Storage for uploaded files, selected with STORAGE_DRIVER:
+//   local (default) - files under ./uploads, served by Express at /uploads
+//   s3              - any S3-compatible bucket (AWS S3, MinIO for local testing)
+//
+// Every driver implements:
+//   put(key, buffer, contentType)  store a file
+//   delete(key)                    remove a file (missing files are ignored)
+//   getUrl(key)                    public URL for a stored file
+//   keyFromUrl(url)                reverse of getUrl, for records that only kept the URL
+//   mount(app)                     register any routes needed to serve files
+
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+const createStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(drivers).join(', ')}.`);
+  }
+  return factory();
+};
+
+module.exports = createStorage();
+module.exports.createStorage = createStorage;
@@ -0,0 +1,51 @@
+// File: backend/services/storage/localDriver.js
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const URL_PREFIX = '/uploads';
+
+// Stores files on the local disk. Fine for development and single-server hosting,
+// but not for serverless deployments where the filesystem does not persist.
+const createLocalDriver = ({ directory = process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads') } = {}) => {
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+    console.log('📦 Created "uploads" directory.');
+  }
+
+  // Keys are flat file names; anything path-like is reduced to its base name
+  const filePath = (key) => path.join(directory, path.basename(key));
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      await fs.promises.writeFile(filePath(key), buffer);
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+        console.log(`🗑️ File deleted: ${filePath(key)}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    getUrl(key) {
+      return `${URL_PREFIX}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      if (!url || !url.startsWith(`${URL_PREFIX}/`)) return null;
+      return path.basename(url);
+    },
+
+    mount(app) {
+      app.use(URL_PREFIX, express.static(directory));
+    },
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,83 @@
+// File: backend/services/storage/s3Driver.js
+
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Stores files in an S3-compatible bucket.
+//
+// Environment:
+//   S3_BUCKET              bucket name (required)
+//   S3_REGION              region (default us-east-1)
+//   S3_ENDPOINT            custom endpoint, e.g. http://localhost:9000 for MinIO
+//   S3_ACCESS_KEY_ID       credentials; falls back to the default AWS credential chain
+//   S3_SECRET_ACCESS_KEY
+//   S3_FORCE_PATH_STYLE    'true' for MinIO and other path-style endpoints
+//   S3_PUBLIC_URL          base URL files are served from (CDN or public bucket URL);
+//                          defaults to the endpoint/bucket or the AWS virtual-hosted URL
+//
+// Local testing with MinIO:
+//   docker run -p 9000:9000 minio/minio server /data
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true \
+//   S3_BUCKET=slugma S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin
+// (create the bucket and give it a public read policy first)
+const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicUrl = process.env.S3_PUBLIC_URL,
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is "s3".');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const defaultPublicUrl = endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const baseUrl = (publicUrl || defaultPublicUrl).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable',
+      }));
+    },
+
+    async delete(key) {
+      // S3 treats deleting a missing key as success
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      console.log(`🗑️ File deleted: s3://${bucket}/${key}`);
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      if (!url) return null;
+      if (url.startsWith(`${baseUrl}/`)) return url.slice(baseUrl.length + 1);
+      // Files uploaded while the local driver was in use keep their /uploads/ URLs
+      if (url.startsWith('/uploads/')) return url.slice('/uploads/'.length);
+      return null;
+    },
+
+    // Files are served by the bucket (or its CDN) directly
+    mount() {},
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,222 @@
+// File: backend/test/inventory.test.js
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const InventoryMovement = require('../models/InventoryMovement');
+const { reserveStock, releaseStock, recordStockEdits, saveProductEdit, stockLevels } = require('../utils/inventory');
+const { parseProductInput, applyProductInput } = require('../utils/productInput');
+const { releaseOrderResources } = require('../utils/checkout');
+
+const actor = { role: 'admin', id: new mongoose.Types.ObjectId() };
+
+// Ledger entries written during a test
+let ledger;
+
+beforeEach(() => {
+  ledger = [];
+  mock.method(InventoryMovement, 'insertMany', async (entries) => { ledger.push(...entries); return entries; });
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+const storedProduct = (fields = {}) => Product.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  __v: 0,
+  name: 'Linen Shirt',
+  description: 'Breathable linen shirt',
+  price: 1499,
+  category: 'Shirts',
+  sku: 'LS-1',
+  stock: 10,
+  variants: [],
+  ...fields,
+});
+
+const line = (product, quantity, fields = {}) => ({ productId: product._id, variantId: null, name: product.name, quantity, ...fields });
+
+// Product.findOneAndUpdate as MongoDB would run the stock queries from utils/inventory.js
+const stockStore = (products) => (filter, update) => {
+  const product = products.find(entry => entry._id.equals(filter._id));
+  if (!product) return null;
+  const quantity = update.$inc.stock;
+  if (filter.stock && product.stock < filter.stock.$gte) return null;
+  product.stock += quantity;
+  return product;
+};
+
+test('reserving stock takes each line out and records one movement per line', async () => {
+  const shirt = storedProduct({ stock: 5 });
+  const belt = storedProduct({ name: 'Belt', sku: 'BLT-1', stock: 2 });
+  mock.method(Product, 'findOneAndUpdate', async (...args) => stockStore([shirt, belt])(...args));
+  const orderId = new mongoose.Types.ObjectId();
+
+  await reserveStock([line(shirt, 2), line(belt, 1)], { type: 'sale', reason: 'Order placed', actor, orderId });
+
+  assert.equal(shirt.stock, 3);
+  assert.equal(belt.stock, 1);
+  assert.deepEqual(ledger.map(entry => [entry.sku, entry.type, entry.quantity, entry.stockAfter, entry.orderId]), [
+    ['LS-1', 'sale', -2, 3, orderId],
+    ['BLT-1', 'sale', -1, 1, orderId],
+  ]);
+});
+
+test('when a line is out of stock, lines already taken are put back and nothing is recorded', async () => {
+  const shirt = storedProduct({ stock: 5 });
+  const belt = storedProduct({ name: 'Belt', stock: 0 });
+  mock.method(Product, 'findOneAndUpdate', async (...args) => stockStore([shirt, belt])(...args));
+  const restores = mock.method(Product, 'updateOne', async (filter, update) => { shirt.stock += update.$inc.stock; });
+
+  await assert.rejects(
+    reserveStock([line(shirt, 2), line(belt, 1)], { type: 'sale', reason: 'Order placed', actor }),
+    { statusCode: 409, message: 'Not enough stock for "Belt".' }
+  );
+  assert.equal(shirt.stock, 5);
+  assert.equal(restores.mock.callCount(), 1);
+  assert.deepEqual(ledger, []);
+});
+
+test('released stock goes back on the shelf and into the ledger', async () => {
+  const shirt = storedProduct({ stock: 3 });
+  mock.method(Product, 'findOneAndUpdate', async (...args) => stockStore([shirt])(...args));
+  const orderId = new mongoose.Types.ObjectId();
+  const gone = { productId: new mongoose.Types.ObjectId(), variantId: null, name: 'Discontinued', quantity: 1 };
+
+  await releaseStock([line(shirt, 2), gone], { type: 'cancellation', reason: 'Order cancelled', actor, orderId });
+
+  assert.equal(shirt.stock, 5);
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.quantity, entry.stockAfter, entry.orderId]), [
+    ['cancellation', 2, 5, orderId],
+  ]);
+});
+
+test('stock set in the product form is recorded as the change it made', async () => {
+  const product = storedProduct({ variants: [{ size: 'M', stock: 4 }, { size: 'L', stock: 6 }] });
+  const [medium, large] = product.variants;
+  const before = stockLevels(product);
+
+  medium.stock = 7;
+  product.variants.pull(large._id);
+  product.variants.push({ size: 'XL', stock: 2 });
+  await recordStockEdits(before, product, { actor, reason: 'Stock edited in product form' });
+
+  assert.deepEqual(ledger.map(entry => [String(entry.variantId), entry.quantity, entry.stockAfter]), [
+    [String(medium._id), 3, 7],
+    [String(product.variants[1]._id), 2, 2],
+    [String(large._id), -6, 0],
+  ]);
+  assert.ok(ledger.every(entry => entry.type === 'adjustment' && entry.actor.role === 'admin'));
+});
+
+// Product form body for `product`, plus the stock fields under test
+const formBody = (product, fields) => ({
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  category: product.category,
+  ...fields,
+});
+
+test('a product form save keeps sales made since the form was opened', async () => {
+  // Opened at 10, two sold since, the admin typed 12: 2 are added on top of the 8 left
+  const product = storedProduct({ stock: 8 });
+  const input = parseProductInput(formBody(product, { stock: 12, loadedStock: 10 }));
+  const saves = mock.method(Product.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+
+  const { product: saved, stockBefore } = await saveProductEdit(product, current => applyProductInput(current, input), { loadedStock: input.loadedStock });
+
+  assert.equal(saved.stock, 10);
+  assert.deepEqual([...stockBefore.values()], [8]);
+  // Only written while stock is still what was read
+  assert.deepEqual(saves.mock.calls[0].arguments[0].$and, [{ stock: 8 }]);
+});
+
+test('a variant form save is rebased per variant', async () => {
+  const product = storedProduct({ variants: [{ size: 'M', stock: 3 }] });
+  const variantId = String(product.variants[0]._id);
+  const input = parseProductInput(formBody(product, {
+    variants: JSON.stringify([{ _id: variantId, size: 'M', stock: 7, loadedStock: 5 }]),
+  }));
+  mock.method(Product.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+
+  const { product: saved } = await saveProductEdit(product, current => applyProductInput(current, input), { loadedStock: input.loadedStock });
+
+  assert.equal(saved.variants[0].stock, 5);
+});
+
+test('a sale during the save makes it retry on the latest stock', async () => {
+  const product = storedProduct({ stock: 10 });
+  const input = parseProductInput(formBody(product, { stock: 15, loadedStock: 10 }));
+  let attempt = 0;
+  mock.method(Product.collection, 'updateOne', async () => {
+    attempt += 1;
+    return attempt === 1
+      ? { acknowledged: true, matchedCount: 0, modifiedCount: 0 }
+      : { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+  mock.method(Product, 'findById', async () => storedProduct({ _id: product._id, stock: 9 }));
+
+  const { product: saved, stockBefore } = await saveProductEdit(product, current => applyProductInput(current, input), { loadedStock: input.loadedStock });
+
+  assert.equal(saved.stock, 14);
+  assert.deepEqual([...stockBefore.values()], [9]);
+});
+
+test('a product form save gives up with a conflict when stock keeps changing', async () => {
+  const product = storedProduct({ stock: 10 });
+  const input = parseProductInput(formBody(product, { stock: 15, loadedStock: 10 }));
+  mock.method(Product.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+  mock.method(Product, 'findById', async () => storedProduct({ _id: product._id, stock: 9 }));
+
+  await assert.rejects(
+    saveProductEdit(product, current => applyProductInput(current, input), { loadedStock: input.loadedStock, attempts: 2 }),
+    { statusCode: 409 }
+  );
+});
+
+test('a cancelled order gives back only the steps it still owes, once each', async () => {
+  const shirt = storedProduct({ stock: 3 });
+  mock.method(Product, 'findOneAndUpdate', async (...args) => stockStore([shirt])(...args));
+  const couponUpdates = mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+  // Coupons were given back by an earlier attempt
+  const claims = mock.method(Order, 'updateOne', async (filter) => ({ modifiedCount: filter.pendingRelease === 'coupons' ? 0 : 1 }));
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    products: [line(shirt, 2)],
+    discounts: [{ couponId: new mongoose.Types.ObjectId() }],
+    paymentId: null,
+    totalPrice: 2998,
+    pendingRelease: ['stock', 'payment'],
+  };
+
+  await releaseOrderResources(order, actor);
+
+  assert.deepEqual(claims.mock.calls.map(call => call.arguments[0].pendingRelease), ['stock', 'coupons', 'payment']);
+  assert.equal(shirt.stock, 5);
+  assert.equal(couponUpdates.mock.callCount(), 0);
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.quantity, entry.orderId]), [['cancellation', 2, order._id]]);
+  assert.deepEqual(order.pendingRelease, []);
+});
+
+test('a release step that fails is queued again and the error passed on', async () => {
+  mock.method(Product, 'findOneAndUpdate', async () => { throw new Error('connection reset'); });
+  const updates = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    products: [{ productId: new mongoose.Types.ObjectId(), variantId: null, name: 'Linen Shirt', quantity: 1 }],
+    discounts: [],
+    pendingRelease: ['stock', 'coupons', 'payment'],
+  };
+
+  await assert.rejects(releaseOrderResources(order, actor), /connection reset/);
+
+  assert.deepEqual(updates.mock.calls.map(call => call.arguments), [
+    [{ _id: order._id, pendingRelease: 'stock' }, { $pull: { pendingRelease: 'stock' } }],
+    [{ _id: order._id }, { $addToSet: { pendingRelease: 'stock' } }],
+  ]);
+});
@@ -0,0 +1,102 @@
+// File: backend/test/invoices.test.js
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Read when utils/invoices.js is loaded
+process.env.INVOICE_PREFIX = 'TST';
+
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { financialYear, nextInvoiceNumber } = require('../utils/invoices');
+
+afterEach(() => mock.restoreAll());
+
+// A stored order as Order.findById would load it
+const storedOrder = (fields) => Order.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  __v: 0,
+  userId: new mongoose.Types.ObjectId(),
+  totalPrice: 1050,
+  paymentMethod: 'Cash on Delivery',
+  shippingAddress: { personName: 'Asha', mobileNumber: '9876543210', address: '1 MG Road', pincode: '400001', state: 'Maharashtra' },
+  orderStatus: 'Pending',
+  invoiceNumber: null,
+  ...fields,
+});
+
+// Saves reach this stub instead of MongoDB
+const stubOrderUpdates = () => mock.method(Order.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+
+test('the financial year turns over on 1 April in India, not UTC', () => {
+  assert.equal(financialYear(new Date('2027-03-31T18:29:00Z')), '2026-27'); // 23:59 IST, 31 March
+  assert.equal(financialYear(new Date('2027-03-31T18:30:00Z')), '2027-28'); // 00:00 IST, 1 April
+  assert.equal(financialYear(new Date('2099-12-31T00:00:00Z')), '2099-00');
+});
+
+test('invoice numbers come from a counter per financial year', async () => {
+  const nextSequence = mock.method(Counter, 'nextSequence', async () => 42);
+
+  assert.equal(await nextInvoiceNumber(new Date('2026-10-19T10:00:00Z')), 'TST/2026-27/00042');
+  assert.equal(await nextInvoiceNumber(new Date('2027-04-01T10:00:00Z')), 'TST/2027-28/00042');
+  assert.deepEqual(nextSequence.mock.calls.map(call => call.arguments[0]), ['invoice:2026-27', 'invoice:2027-28']);
+});
+
+test('backfilling an order only sets a number while it still has none', async () => {
+  mock.method(Counter, 'nextSequence', async () => 7);
+  const updateOne = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const orderId = new mongoose.Types.ObjectId();
+
+  assert.equal(await Order.assignInvoiceNumber(orderId), true);
+
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: orderId, invoiceNumber: null });
+  assert.match(update.$set.invoiceNumber, /^TST\/\d{4}-\d{2}\/00007$/);
+  assert.ok(update.$set.invoicedAt instanceof Date);
+});
+
+test('an order numbered meanwhile keeps its number', async () => {
+  mock.method(Counter, 'nextSequence', async () => 8);
+  mock.method(Order, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  assert.equal(await Order.assignInvoiceNumber(new mongoose.Types.ObjectId()), false);
+});
+
+test('confirming an order numbers its invoice in the same save', async () => {
+  mock.method(Counter, 'nextSequence', async () => 12);
+  const updateOne = stubOrderUpdates();
+  const order = storedOrder({ orderStatus: 'Pending' });
+
+  order.orderStatus = 'Confirmed';
+  await order.save();
+
+  assert.match(order.invoiceNumber, /^TST\/\d{4}-\d{2}\/00012$/);
+  const [, update] = updateOne.mock.calls[0].arguments;
+  assert.equal(update.$set.invoiceNumber, order.invoiceNumber);
+  assert.equal(update.$set.orderStatus, 'Confirmed');
+});
+
+test('an invoiced order keeps its number as it moves on', async () => {
+  const nextSequence = mock.method(Counter, 'nextSequence', async () => 13);
+  stubOrderUpdates();
+  const order = storedOrder({ orderStatus: 'Confirmed', invoiceNumber: 'TST/2026-27/00001', invoicedAt: new Date() });
+
+  order.orderStatus = 'Processing';
+  await order.save();
+
+  assert.equal(order.invoiceNumber, 'TST/2026-27/00001');
+  assert.equal(nextSequence.mock.callCount(), 0);
+});
+
+test('orders that are not confirmed take no number from the series', async () => {
+  const nextSequence = mock.method(Counter, 'nextSequence', async () => 14);
+  stubOrderUpdates();
+  const order = storedOrder({ orderStatus: 'Pending' });
+
+  order.orderStatus = 'Cancelled';
+  await order.save();
+
+  assert.equal(order.invoiceNumber, null);
+  assert.equal(nextSequence.mock.callCount(), 0);
+});
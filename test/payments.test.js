@@ -0,0 +1,218 @@
+// File: backend/test/payments.test.js
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const paymentProvider = require('../services/payments');
+const { handlePaymentEvent } = require('../utils/payments');
+
+// Documents as stored, and every write in the order it happened
+let writes;
+let orderSaveResult;
+
+beforeEach(() => {
+  writes = [];
+  orderSaveResult = { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  mock.method(Order.collection, 'updateOne', async (filter, update) => {
+    writes.push({ model: 'Order', update });
+    return orderSaveResult;
+  });
+  mock.method(Payment.collection, 'updateOne', async (filter, update) => {
+    writes.push({ model: 'Payment', update });
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+  mock.method(paymentProvider, 'refund', async () => ({ refundId: 'rfnd_1' }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const storedOrder = (fields = {}) => Order.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  __v: 0,
+  userId: new mongoose.Types.ObjectId(),
+  totalPrice: 1050,
+  paymentMethod: 'Google Pay',
+  paymentStatus: 'Pending',
+  shippingAddress: { personName: 'Asha', mobileNumber: '9876543210', address: '1 MG Road', pincode: '400001', state: 'Maharashtra' },
+  orderStatus: 'Pending',
+  invoiceNumber: 'TST/2026-27/00001', // Keeps the invoice counter out of these tests
+  pendingRelease: [],
+  ...fields,
+});
+
+const storedPayment = (order, fields = {}) => Payment.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  __v: 0,
+  orderId: order._id,
+  userId: order.userId,
+  provider: paymentProvider.name,
+  providerOrderId: 'mock_order_1',
+  providerPaymentId: null,
+  amount: 1050,
+  status: 'created',
+  refundedAmount: 0,
+  failureReason: '',
+  events: [],
+  ...fields,
+});
+
+// Serve `order` and `payment` to the handler the way the database would
+const serve = ({ order, payment, otherCapture = false }) => {
+  mock.method(Payment, 'findOne', async () => payment);
+  mock.method(Payment, 'findById', async () => payment);
+  mock.method(Payment, 'exists', async () => (otherCapture ? { _id: new mongoose.Types.ObjectId() } : null));
+  mock.method(Order, 'findById', async () => order);
+};
+
+const captured = (fields = {}) => ({
+  id: 'evt_1',
+  type: 'payment.captured',
+  providerOrderId: 'mock_order_1',
+  providerPaymentId: 'pay_1',
+  amount: 1050,
+  ...fields,
+});
+
+test('a capture of the current attempt confirms and pays for the order', async () => {
+  const order = storedOrder();
+  const payment = storedPayment(order);
+  order.paymentId = payment._id;
+  serve({ order, payment });
+
+  assert.equal(await handlePaymentEvent(captured()), 'captured');
+
+  assert.equal(order.orderStatus, 'Confirmed');
+  assert.equal(order.paymentStatus, 'Paid');
+  assert.equal(payment.status, 'captured');
+  assert.equal(paymentProvider.refund.mock.callCount(), 0);
+});
+
+test('the order is saved before the event is recorded on the payment', async () => {
+  const order = storedOrder();
+  const payment = storedPayment(order);
+  order.paymentId = payment._id;
+  serve({ order, payment });
+
+  await handlePaymentEvent(captured());
+
+  assert.deepEqual(writes.map(write => write.model), ['Order', 'Payment']);
+  assert.equal(writes[1].update.$push.events.$each[0].eventId, 'evt_1');
+});
+
+test('when the order cannot be saved the event stays unrecorded, so the redelivery is applied', async () => {
+  const firstOrder = storedOrder();
+  const firstPayment = storedPayment(firstOrder);
+  firstOrder.paymentId = firstPayment._id;
+  serve({ order: firstOrder, payment: firstPayment });
+  orderSaveResult = { acknowledged: true, matchedCount: 0, modifiedCount: 0 }; // e.g. a concurrent cancellation
+
+  await assert.rejects(handlePaymentEvent(captured()), { name: 'VersionError' });
+  assert.deepEqual(writes.map(write => write.model), ['Order']);
+
+  // The provider retries; nothing about the first attempt was stored
+  writes = [];
+  orderSaveResult = { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  const order = storedOrder({ _id: firstOrder._id, paymentId: firstPayment._id });
+  const payment = storedPayment(order, { _id: firstPayment._id });
+  serve({ order, payment });
+
+  assert.equal(await handlePaymentEvent(captured()), 'captured');
+  assert.equal(order.paymentStatus, 'Paid');
+  assert.deepEqual(writes.map(write => write.model), ['Order', 'Payment']);
+});
+
+test('a repeated event is ignored', async () => {
+  const order = storedOrder();
+  const payment = storedPayment(order, { status: 'captured', events: [{ eventId: 'evt_1', type: 'payment.captured' }] });
+  order.paymentId = payment._id;
+  serve({ order, payment });
+
+  assert.equal(await handlePaymentEvent(captured()), 'ignored: duplicate event');
+  assert.equal(writes.length, 0);
+});
+
+test('a capture for an attempt that is no longer current is refunded and does not pay for the order', async () => {
+  const order = storedOrder({ paymentId: new mongoose.Types.ObjectId() });
+  const payment = storedPayment(order);
+  serve({ order, payment });
+
+  assert.equal(await handlePaymentEvent(captured()), 'captured but not needed: refund requested');
+
+  assert.equal(order.paymentStatus, 'Pending');
+  assert.equal(order.orderStatus, 'Pending');
+  assert.equal(payment.status, 'captured');
+  assert.match(payment.failureReason, /no longer current/);
+  assert.deepEqual(paymentProvider.refund.mock.calls[0].arguments[0], { providerPaymentId: 'pay_1', amount: 1050 });
+});
+
+test('a second capture for an order that is already paid is refunded', async () => {
+  const order = storedOrder({ orderStatus: 'Confirmed', paymentStatus: 'Paid' });
+  const payment = storedPayment(order);
+  order.paymentId = payment._id;
+  serve({ order, payment, otherCapture: true });
+
+  assert.equal(await handlePaymentEvent(captured()), 'captured but not needed: refund requested');
+
+  assert.equal(paymentProvider.refund.mock.callCount(), 1);
+  assert.match(payment.failureReason, /already paid/);
+});
+
+test('a failed refund of an unneeded capture is flagged for staff', async () => {
+  const order = storedOrder({ paymentId: new mongoose.Types.ObjectId() });
+  const payment = storedPayment(order);
+  serve({ order, payment });
+  paymentProvider.refund.mock.mockImplementation(async () => { throw new Error('provider down'); });
+  mock.method(console, 'error', () => {});
+
+  assert.equal(await handlePaymentEvent(captured()), 'captured but not needed: refund failed, refund by hand');
+  assert.match(payment.failureReason, /must be issued by hand/);
+  assert.equal(writes.at(-1).model, 'Payment');
+});
+
+test('a capture after the order was cancelled is refunded through the release queue', async () => {
+  const order = storedOrder({ orderStatus: 'Cancelled' });
+  const payment = storedPayment(order);
+  order.paymentId = payment._id;
+  serve({ order, payment });
+  const releaseUpdates = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await handlePaymentEvent(captured()), 'captured after cancellation: refund requested');
+
+  assert.deepEqual(writes[0].update.$addToSet, { pendingRelease: { $each: ['payment'] } });
+  assert.deepEqual(releaseUpdates.mock.calls[0].arguments, [
+    { _id: order._id, pendingRelease: 'payment' },
+    { $pull: { pendingRelease: 'payment' } },
+  ]);
+  assert.deepEqual(paymentProvider.refund.mock.calls[0].arguments[0], { providerPaymentId: 'pay_1', amount: 1050 });
+});
+
+test('a failed refund after cancellation stays queued for the next cancel', async () => {
+  const order = storedOrder({ orderStatus: 'Cancelled' });
+  const payment = storedPayment(order);
+  order.paymentId = payment._id;
+  serve({ order, payment });
+  const releaseUpdates = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  paymentProvider.refund.mock.mockImplementation(async () => { throw new Error('provider down'); });
+  mock.method(console, 'error', () => {});
+
+  assert.equal(await handlePaymentEvent(captured()), 'captured after cancellation: refund failed, cancel the order again to retry');
+  assert.deepEqual(releaseUpdates.mock.calls[1].arguments, [
+    { _id: order._id },
+    { $addToSet: { pendingRelease: 'payment' } },
+  ]);
+});
+
+test('a capture for the wrong amount fails the payment', async () => {
+  const order = storedOrder();
+  const payment = storedPayment(order);
+  order.paymentId = payment._id;
+  serve({ order, payment });
+
+  assert.equal(await handlePaymentEvent(captured({ amount: 999 })), 'rejected: amount mismatch');
+  assert.equal(payment.status, 'failed');
+  assert.equal(order.paymentStatus, 'Failed');
+  assert.equal(order.orderStatus, 'Pending');
+});
@@ -0,0 +1,95 @@
+// File: backend/test/tax.test.js
+
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Settings are read when utils/tax.js is loaded
+process.env.TAX_RATES_FILE = path.join(__dirname, 'fixtures', 'taxRates.json');
+process.env.SELLER_STATE = 'Maharashtra';
+
+const { taxRateFor, calculateTax } = require('../utils/tax');
+
+const typesOf = (result) => result.taxLines.map(line => line.type);
+
+test('deliveries within the seller state are split into equal CGST and SGST', () => {
+  const result = calculateTax({
+    lines: [{ category: 'Shirts', price: 1050, quantity: 2 }],
+    shipping: 59,
+    state: ' maharashtra ',
+  });
+
+  assert.equal(result.intraState, true);
+  assert.deepEqual(result.lines, [{ taxRate: 5, discount: 0, taxableValue: 2000, tax: 100 }]);
+  assert.deepEqual(result.shippingTax, { rate: 18, taxableValue: 50, amount: 9 });
+  assert.deepEqual(result.taxLines, [
+    { type: 'CGST', rate: 2.5, taxableValue: 2000, amount: 50 },
+    { type: 'SGST', rate: 2.5, taxableValue: 2000, amount: 50 },
+    { type: 'CGST', rate: 9, taxableValue: 50, amount: 4.5 },
+    { type: 'SGST', rate: 9, taxableValue: 50, amount: 4.5 },
+  ]);
+  assert.equal(result.tax, 109);
+});
+
+test('deliveries to other states pay IGST at the full rate', () => {
+  const result = calculateTax({
+    lines: [{ category: 'Shirts', price: 1050, quantity: 2 }],
+    shipping: 59,
+    state: 'Karnataka',
+  });
+
+  assert.equal(result.intraState, false);
+  assert.deepEqual(result.taxLines, [
+    { type: 'IGST', rate: 5, taxableValue: 2000, amount: 100 },
+    { type: 'IGST', rate: 18, taxableValue: 50, amount: 9 },
+  ]);
+  assert.equal(result.tax, 109);
+});
+
+test('an odd paisa of tax goes to CGST so the halves still add up', () => {
+  const result = calculateTax({ lines: [{ category: 'Watches', price: 100, quantity: 1 }], state: 'Maharashtra' });
+
+  assert.deepEqual(result.taxLines.map(line => line.amount), [7.63, 7.62]);
+  assert.equal(result.tax, 15.25);
+  assert.equal(result.lines[0].taxableValue + result.lines[0].tax, 100);
+});
+
+test('lines at the same rate are taxed together and listed by rate', () => {
+  const result = calculateTax({
+    lines: [
+      { category: 'Watches', price: 1180, quantity: 1 },
+      { category: 'Shirts', price: 525, quantity: 1 },
+      { category: 'Watches', price: 590, quantity: 2 },
+    ],
+    state: 'Goa',
+  });
+
+  assert.deepEqual(typesOf(result), ['IGST', 'IGST']);
+  assert.deepEqual(result.taxLines.map(line => [line.rate, line.taxableValue, line.amount]), [
+    [5, 500, 25],
+    [18, 2000, 360],
+  ]);
+});
+
+test('the order discount is spread over the lines and decides the price slab', () => {
+  assert.equal(taxRateFor('Shirts', 2600), 18);
+
+  const result = calculateTax({
+    lines: [
+      { category: 'Shirts', price: 2600, quantity: 1 },
+      { category: 'Watches', price: 1400, quantity: 1 },
+    ],
+    discountTotal: 400,
+    state: 'Goa',
+  });
+
+  assert.deepEqual(result.lines.map(line => line.discount), [260, 140]);
+  // 2340 per unit after the discount is under the 2500 slab
+  assert.equal(result.lines[0].taxRate, 5);
+  assert.equal(result.lines[1].taxRate, 18);
+});
+
+test('categories without a rule use the default rate', () => {
+  assert.equal(taxRateFor('Scarves', 100), 12);
+  assert.equal(taxRateFor('  shirts ', 100), 5);
+});
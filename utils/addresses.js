@@ -0,0 +1,64 @@
+// File: backend/utils/addresses.js
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ADDRESS_FIELD_NAMES } = require('../models/addressFields');
+const HttpError = require('./httpError');
+
+const MAX_SAVED_ADDRESSES = 10;
+
+// Copy the address fields (and label) out of a request body or saved address
+const pickAddress = (source) => {
+  const address = {};
+  ADDRESS_FIELD_NAMES.forEach((field) => {
+    if (source[field] !== undefined) address[field] = source[field] === null ? '' : String(source[field]).trim();
+  });
+  if (source.label !== undefined) address.label = source.label === null ? '' : String(source.label).trim();
+  return address;
+};
+
+// Mark one saved address as the default and clear the flag on the rest.
+// Without an ID the current default is kept, or the first address becomes the default.
+const setDefaultAddress = (user, addressId) => {
+  const chosen = (addressId && user.addresses.id(addressId))
+    || user.addresses.find(entry => entry.isDefault)
+    || user.addresses[0];
+  user.addresses.forEach((entry) => { entry.isDefault = entry === chosen; });
+};
+
+const assertUniqueLabel = (user, label, exceptId) => {
+  const taken = user.addresses.some(entry => entry.label.toLowerCase() === String(label).toLowerCase()
+    && !(exceptId && entry._id.equals(exceptId)));
+  if (taken) {
+    throw new HttpError(400, `You already have an address called "${label}".`);
+  }
+};
+
+// Address to copy onto a new order for `userId`: the saved address `addressId`, else the typed-in
+// `shippingAddress`, else the user's default address. Returns undefined when there is none.
+const resolveShippingAddress = async (userId, { shippingAddress, addressId }) => {
+  if (!addressId && shippingAddress) {
+    return { ...pickAddress(shippingAddress), label: '', addressId: null };
+  }
+  if (addressId && !mongoose.Types.ObjectId.isValid(addressId)) {
+    throw new HttpError(400, 'Invalid address ID format.');
+  }
+
+  const user = await User.findById(userId).select('addresses');
+  const saved = user
+    ? (addressId ? user.addresses.id(addressId) : user.addresses.find(entry => entry.isDefault))
+    : null;
+  if (!saved) {
+    if (addressId) throw new HttpError(404, 'Saved address not found.');
+    return undefined;
+  }
+  return { ...pickAddress(saved), addressId: saved._id };
+};
+
+module.exports = {
+  MAX_SAVED_ADDRESSES,
+  pickAddress,
+  setDefaultAddress,
+  assertUniqueLabel,
+  resolveShippingAddress,
+};
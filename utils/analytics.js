@@ -0,0 +1,266 @@
+// File: backend/utils/analytics.js
+
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const HttpError = require('./httpError');
+const { VISIBLE_REVIEW_FILTER } = require('./reviews');
+
+// Time zone used for day/week/month buckets and for date-only range filters
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+const DEFAULT_RANGE_DAYS = 30;
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+// Orders that count as sales (cancelled orders never brought in money)
+const SOLD_ORDER_MATCH = { orderStatus: { $ne: 'Cancelled' } };
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+const zoneOffsetMs = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  return Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second) - (date.getTime() - date.getMilliseconds());
+};
+
+// Parse a `from`/`to` query value. Date-only values (YYYY-MM-DD) mean midnight in REPORT_TIMEZONE;
+// `endOfDay` moves them to the following midnight so `to=2024-05-31` includes the whole day.
+const parseReportDate = (value, name, { endOfDay = false } = {}) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const utcMidnight = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(utcMidnight.getTime())) {
+      throw new HttpError(400, `${name} must be a valid date (YYYY-MM-DD).`);
+    }
+    const dayStart = new Date(utcMidnight.getTime() - zoneOffsetMs(utcMidnight, REPORT_TIMEZONE));
+    return endOfDay ? new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) : dayStart;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a valid date (YYYY-MM-DD).`);
+  }
+  return date;
+};
+
+// Date range for a report from `?from=&to=`; defaults to the last DEFAULT_RANGE_DAYS days.
+// Returns { from, to } where `to` is exclusive.
+const parseReportRange = (query, now = new Date()) => {
+  const to = query.to ? parseReportDate(query.to, 'to', { endOfDay: true }) : now;
+  const from = query.from
+    ? parseReportDate(query.from, 'from')
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (from >= to) {
+    throw new HttpError(400, '`from` must be before `to`.');
+  }
+  return { from, to };
+};
+
+const createdInRange = ({ from, to }) => ({ createdAt: { $gte: from, $lt: to } });
+
+// Revenue fields shared by the summary and the per-period report. `revenue` is what customers
+// paid for non-cancelled orders; `netRevenue` subtracts refunds for returned items.
+const revenueAccumulators = {
+  orders: { $sum: 1 },
+  cancelledOrders: { $sum: { $cond: [{ $eq: ['$orderStatus', 'Cancelled'] }, 1, 0] } },
+  revenue: { $sum: { $cond: [{ $eq: ['$orderStatus', 'Cancelled'] }, 0, '$totalPrice'] } },
+  discounts: { $sum: { $cond: [{ $eq: ['$orderStatus', 'Cancelled'] }, 0, { $ifNull: ['$pricing.discount', 0] }] } },
+  refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+};
+
+const revenueProjection = {
+  _id: 0,
+  orders: 1,
+  cancelledOrders: 1,
+  revenue: { $round: ['$revenue', 2] },
+  discounts: { $round: ['$discounts', 2] },
+  refunds: { $round: ['$refunds', 2] },
+  netRevenue: { $round: [{ $subtract: ['$revenue', '$refunds'] }, 2] },
+  averageOrderValue: {
+    $cond: [
+      { $gt: [{ $subtract: ['$orders', '$cancelledOrders'] }, 0] },
+      { $round: [{ $divide: ['$revenue', { $subtract: ['$orders', '$cancelledOrders'] }] }, 2] },
+      0,
+    ],
+  },
+  cancellationRate: {
+    $cond: [{ $gt: ['$orders', 0] }, { $round: [{ $multiply: [{ $divide: ['$cancelledOrders', '$orders'] }, 100] }, 2] }, 0],
+  },
+};
+
+// Headline numbers for the range: orders, revenue, AOV, cancellation rate (%), refunds
+const salesSummary = async (range) => {
+  const [summary] = await Order.aggregate([
+    { $match: createdInRange(range) },
+    { $group: { _id: null, ...revenueAccumulators } },
+    { $project: revenueProjection },
+  ]);
+  return summary || {
+    orders: 0, cancelledOrders: 0, revenue: 0, discounts: 0, refunds: 0,
+    netRevenue: 0, averageOrderValue: 0, cancellationRate: 0,
+  };
+};
+
+// Revenue and order counts per day, week (starting Monday) or month
+const revenueByPeriod = async (range, interval = 'day') => {
+  if (!REPORT_INTERVALS.includes(interval)) {
+    throw new HttpError(400, `Interval must be one of: ${REPORT_INTERVALS.join(', ')}.`);
+  }
+  return Order.aggregate([
+    { $match: createdInRange(range) },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: REPORT_TIMEZONE, startOfWeek: 'monday' } },
+        ...revenueAccumulators,
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        period: { $dateToString: { date: '$_id', format: '%Y-%m-%d', timezone: REPORT_TIMEZONE } },
+        ...revenueProjection,
+      },
+    },
+  ]);
+};
+
+// Line-level sales: one document per sold order line
+const soldLinesPipeline = (range) => [
+  { $match: { ...createdInRange(range), ...SOLD_ORDER_MATCH } },
+  { $unwind: '$products' },
+];
+
+const lineRevenue = { $multiply: ['$products.price', '$products.quantity'] };
+
+// Best-selling products by units or revenue (before order-level discounts)
+const bestSellers = async (range, { sortBy = 'units', limit = 10 } = {}) => {
+  if (!['units', 'revenue'].includes(sortBy)) {
+    throw new HttpError(400, "sortBy must be 'units' or 'revenue'.");
+  }
+  return Order.aggregate([
+    ...soldLinesPipeline(range),
+    {
+      $group: {
+        _id: '$products.productId',
+        name: { $last: '$products.name' },
+        category: { $last: '$products.category' },
+        units: { $sum: '$products.quantity' },
+        revenue: { $sum: lineRevenue },
+        orders: { $addToSet: '$_id' },
+      },
+    },
+    { $sort: sortBy === 'revenue' ? { revenue: -1, units: -1 } : { units: -1, revenue: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id',
+        name: 1,
+        category: 1,
+        units: 1,
+        revenue: { $round: ['$revenue', 2] },
+        orders: { $size: '$orders' },
+      },
+    },
+  ]);
+};
+
+// Units and revenue per category, using the category recorded on each order line
+const salesByCategory = async (range) => Order.aggregate([
+  ...soldLinesPipeline(range),
+  {
+    $group: {
+      _id: { $ifNull: [{ $cond: [{ $eq: ['$products.category', ''] }, null, '$products.category'] }, 'Uncategorised'] },
+      units: { $sum: '$products.quantity' },
+      revenue: { $sum: lineRevenue },
+      orders: { $addToSet: '$_id' },
+    },
+  },
+  { $sort: { revenue: -1 } },
+  {
+    $project: {
+      _id: 0,
+      category: '$_id',
+      units: 1,
+      revenue: { $round: ['$revenue', 2] },
+      orders: { $size: '$orders' },
+    },
+  },
+]);
+
+// Orders and revenue per shipping state. States are compared case-insensitively.
+const salesByState = async (range) => Order.aggregate([
+  { $match: { ...createdInRange(range), ...SOLD_ORDER_MATCH } },
+  {
+    $group: {
+      _id: { $toLower: { $trim: { input: '$shippingAddress.state' } } },
+      state: { $first: { $trim: { input: '$shippingAddress.state' } } },
+      orders: { $sum: 1 },
+      units: { $sum: { $sum: '$products.quantity' } },
+      revenue: { $sum: '$totalPrice' },
+    },
+  },
+  { $sort: { revenue: -1 } },
+  {
+    $project: {
+      _id: 0,
+      state: 1,
+      orders: 1,
+      units: 1,
+      revenue: { $round: ['$revenue', 2] },
+      averageOrderValue: { $round: [{ $divide: ['$revenue', '$orders'] }, 2] },
+    },
+  },
+]);
+
+// Products whose reviews in the range average `maxRating` or less (with at least `minReviews`)
+const lowRatedProducts = async (range, { maxRating = 3, minReviews = 1, limit = 20 } = {}) => Review.aggregate([
+  { $match: { ...createdInRange(range), ...VISIBLE_REVIEW_FILTER } },
+  {
+    $group: {
+      _id: '$productId',
+      averageRating: { $avg: '$rating' },
+      reviewCount: { $sum: 1 },
+      lowestRating: { $min: '$rating' },
+    },
+  },
+  { $match: { averageRating: { $lte: maxRating }, reviewCount: { $gte: minReviews } } },
+  { $sort: { averageRating: 1, reviewCount: -1 } },
+  { $limit: limit },
+  { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+  { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+  {
+    $project: {
+      _id: 0,
+      productId: '$_id',
+      name: { $ifNull: ['$product.name', '(deleted product)'] },
+      category: '$product.category',
+      averageRating: { $round: ['$averageRating', 2] },
+      reviewCount: 1,
+      lowestRating: 1,
+    },
+  },
+]);
+
+// CSV columns for each report
+const REPORT_COLUMNS = {
+  summary: ['orders', 'cancelledOrders', 'cancellationRate', 'revenue', 'discounts', 'refunds', 'netRevenue', 'averageOrderValue'],
+  revenue: ['period', 'orders', 'cancelledOrders', 'cancellationRate', 'revenue', 'discounts', 'refunds', 'netRevenue', 'averageOrderValue'],
+  'best-sellers': ['productId', 'name', 'category', 'units', 'revenue', 'orders'],
+  'sales-by-category': ['category', 'units', 'revenue', 'orders'],
+  'sales-by-state': ['state', 'orders', 'units', 'revenue', 'averageOrderValue'],
+  'low-rated-products': ['productId', 'name', 'category', 'averageRating', 'reviewCount', 'lowestRating'],
+};
+
+module.exports = {
+  REPORT_TIMEZONE,
+  REPORT_INTERVALS,
+  REPORT_COLUMNS,
+  parseReportRange,
+  salesSummary,
+  revenueByPeriod,
+  bestSellers,
+  salesByCategory,
+  salesByState,
+  lowRatedProducts,
+};
@@ -0,0 +1,131 @@
+// File: backend/utils/catalogQuery.js
+
+// Builds the aggregation pipeline behind GET /api/products from its query string.
+//
+// Supported query parameters:
+//   q          free-text search over name, description, brand and tags
+//   category   one or more categories (comma separated, case-insensitive)
+//   categoryId a category from the category tree, including its subcategories
+//              (resolved by the route and passed in as `categoryIds`)
+//   minPrice   lowest effective price (sale price when set, else price)
+//   maxPrice   highest effective price
+//   size       one or more sizes; a product matches if it offers any of them
+//   color      one or more colours; a product matches if it offers any of them
+//   inStock    'true' to hide sold-out products
+//   minRating  lowest average rating (1-5)
+//   sort       'newest' (default), 'price_asc', 'price_desc' or 'rating'
+//   paginate   'true' for one page of results with pagination details; otherwise every match
+//              is returned as a plain array, as the endpoint always has
+//   page       1-based page number (default 1, with paginate=true)
+//   limit      page size (default 20, max 100, with paginate=true)
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { effectivePrice: 1, _id: 1 },
+  price_desc: { effectivePrice: -1, _id: -1 },
+  rating: { averageRating: -1, reviewCount: -1, _id: -1 },
+};
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accepts `a,b`, repeated params (`?size=S&size=M`) or a single value
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(item => item !== '');
+};
+
+// Exact, case-insensitive match for any of the given values
+const anyOf = (values) => ({ $in: values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) });
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+const buildCatalogPipeline = (query = {}, { categoryIds } = {}) => {
+  const match = {};
+
+  const search = typeof query.q === 'string' ? query.q.trim() : '';
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    match.$or = [
+      { name: pattern },
+      { description: pattern },
+      { brand: pattern },
+      { tags: pattern },
+    ];
+  }
+
+  const categories = toList(query.category);
+  if (categories.length) match.category = anyOf(categories);
+  if (categoryIds) match.categoryId = { $in: categoryIds };
+
+  const sizes = toList(query.size);
+  if (sizes.length) match.size = anyOf(sizes);
+
+  const colors = toList(query.color || query.colors);
+  if (colors.length) match.colors = anyOf(colors);
+
+  if (query.inStock === 'true') match.stock = { $gt: 0 };
+
+  const priceMatch = {};
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== null) priceMatch.$gte = minPrice;
+  if (maxPrice !== null) priceMatch.$lte = maxPrice;
+
+  const minRating = toNumber(query.minRating);
+
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+  const sort = SORTS[query.sort] || SORTS.newest;
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { effectivePrice: { $ifNull: ['$salePrice', '$price'] } } },
+  ];
+
+  if (Object.keys(priceMatch).length) {
+    pipeline.push({ $match: { effectivePrice: priceMatch } });
+  }
+
+  // Ratings come from the stored summary (see utils/reviews.js)
+  pipeline.push({
+    $addFields: {
+      averageRating: { $ifNull: ['$ratingSummary.average', 0] },
+      reviewCount: { $ifNull: ['$ratingSummary.count', 0] },
+    },
+  });
+
+  if (minRating !== null) {
+    pipeline.push({ $match: { averageRating: { $gte: minRating } } });
+  }
+
+  pipeline.push({ $sort: sort });
+  const paginate = query.paginate === 'true';
+  if (!paginate) {
+    pipeline.push({ $project: { effectivePrice: 0 } });
+    return { pipeline, paginate };
+  }
+
+  pipeline.push({
+    $facet: {
+      products: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { effectivePrice: 0 } }],
+      total: [{ $count: 'count' }],
+    },
+  });
+
+  return { pipeline, paginate, page, limit };
+};
+
+module.exports = {
+  buildCatalogPipeline,
+  escapeRegex,
+  toList,
+};
@@ -0,0 +1,214 @@
+// File: backend/utils/categories.js
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const HttpError = require('./httpError');
+const { escapeRegex } = require('./catalogQuery');
+
+// Category tree helpers. Products point at a category with `categoryId` and keep a copy of its
+// name in `category`, which promotions (Coupon.applicableCategories), GST rates (data/taxRates.json),
+// reports and the catalogue filter still match on.
+
+// 'Men's Shoes' -> 'mens-shoes'
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const byOrderThenName = (a, b) => (a.order - b.order) || a.name.localeCompare(b.name);
+
+// Find a category by ID, slug or name (case-insensitive). Returns null when there is no match.
+const findCategory = async (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (mongoose.Types.ObjectId.isValid(text)) {
+    const byId = await Category.findById(text);
+    if (byId) return byId;
+  }
+  return Category.findOne({
+    $or: [{ slug: slugify(text) }, { name: new RegExp(`^${escapeRegex(text)}$`, 'i') }],
+  });
+};
+
+// Resolve the category given in a product form or import row. Only active categories can be chosen,
+// except that a product may keep the category it already has.
+// Returns { category } or { error } with a message for the client.
+const resolveProductCategory = async (value, { currentCategoryId } = {}) => {
+  const category = await findCategory(value);
+  if (!category) {
+    return { error: `Category "${String(value).trim()}" does not exist. Add it under categories first.` };
+  }
+  if (!category.active && String(category._id) !== String(currentCategoryId)) {
+    return { error: `Category ${category.name} is inactive.` };
+  }
+  return { category };
+};
+
+// IDs of `rootId` and every category below it
+const descendantIds = (categories, rootId) => {
+  const childrenOf = new Map();
+  categories.forEach((category) => {
+    const parentKey = String(category.parentId || '');
+    if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, []);
+    childrenOf.get(parentKey).push(category._id);
+  });
+
+  const ids = [];
+  const queue = [rootId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    ids.push(id);
+    queue.push(...(childrenOf.get(String(id)) || []));
+  }
+  return ids;
+};
+
+// IDs to filter the catalogue by for `categoryId`: the category and its subcategories
+const categoryFilterIds = async (categoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+    throw new HttpError(400, 'Invalid category ID.');
+  }
+  const categories = await Category.find().select('parentId').lean();
+  if (!categories.some(category => String(category._id) === String(categoryId))) return [];
+  return descendantIds(categories, new mongoose.Types.ObjectId(String(categoryId)));
+};
+
+// Products per category ID, not counting subcategories
+const productCounts = async () => {
+  const rows = await Product.aggregate([
+    { $match: { categoryId: { $ne: null } } },
+    { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.count]));
+};
+
+// Nest plain category objects under their parents, siblings sorted by `order` then name.
+// `productCount` includes subcategories. With `activeOnly`, inactive categories and everything
+// below them are left out.
+const buildCategoryTree = (categories, counts = new Map(), { activeOnly = false } = {}) => {
+  const nodes = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId ? nodes.get(String(node.parentId)) : null;
+    if (parent) parent.children.push(node);
+    else if (!node.parentId) roots.push(node);
+    // Nodes whose parent no longer exists are dropped rather than shown at the top level
+  });
+
+  const finish = (list, path) => list
+    .filter(node => !activeOnly || node.active)
+    .sort(byOrderThenName)
+    .map((node) => {
+      const nodePath = [...path, node.name];
+      const children = finish(node.children, nodePath);
+      const productCount = (counts.get(String(node._id)) || 0)
+        + children.reduce((sum, child) => sum + child.productCount, 0);
+      return { ...node, path: nodePath, productCount, children };
+    });
+
+  return finish(roots, []);
+};
+
+// Throws unless `parentId` can be the parent of `category` (null for a new category):
+// it must exist and must not be the category itself or one of its subcategories.
+const assertValidParent = async (category, parentId) => {
+  if (!parentId) return;
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    throw new HttpError(400, 'Invalid parent category ID.');
+  }
+  const categories = await Category.find().select('parentId').lean();
+  if (!categories.some(entry => String(entry._id) === String(parentId))) {
+    throw new HttpError(400, 'Parent category not found.');
+  }
+  if (category && descendantIds(categories, category._id).some(id => String(id) === String(parentId))) {
+    throw new HttpError(400, 'A category cannot be moved under itself or one of its subcategories.');
+  }
+};
+
+// After a rename, update the name copied onto products and coupon category scopes.
+// GST rates in data/taxRates.json are keyed by name too and have to be edited by hand.
+const renameCategoryReferences = async (category, previousName) => {
+  const products = await Product.updateMany(
+    { categoryId: category._id },
+    { $set: { category: category.name, updatedAt: new Date() } }
+  );
+  const coupons = await Coupon.updateMany(
+    { applicableCategories: new RegExp(`^${escapeRegex(previousName)}$`, 'i') },
+    { $set: { 'applicableCategories.$[old]': category.name } },
+    { arrayFilters: [{ old: new RegExp(`^${escapeRegex(previousName)}$`, 'i') }] }
+  );
+  return { products: products.modifiedCount, coupons: coupons.modifiedCount };
+};
+
+// Map the free-text `category` strings on products into Category documents (see scripts/migrate-categories.js).
+// Strings with the same slug ('T-Shirts', 't shirts ') become one category named after the most used
+// spelling. `aliases` maps a string to the category it should go under instead, e.g. { Footwear: 'Shoes' }.
+// Existing categories are reused by slug or name; new ones are created at the top level.
+// Products that already have a `categoryId` are left alone, so the migration can be run again.
+// With `dryRun`, nothing is written. Returns { categories, skipped }.
+const migrateCategoryStrings = async ({ aliases = {}, dryRun = false } = {}) => {
+  const aliasBySlug = new Map(Object.entries(aliases).map(([from, to]) => [slugify(from), String(to).trim()]));
+  const rows = await Product.aggregate([
+    { $match: { categoryId: null } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+
+  const groups = new Map();
+  const skipped = [];
+  for (const row of rows) {
+    const raw = typeof row._id === 'string' ? row._id : '';
+    const target = aliasBySlug.get(slugify(raw)) || raw.replace(/\s+/g, ' ').trim();
+    const slug = slugify(target);
+    if (!slug) {
+      skipped.push({ category: raw, products: row.count });
+      continue;
+    }
+    if (!groups.has(slug)) groups.set(slug, { slug, names: new Map(), sources: [], products: 0 });
+    const group = groups.get(slug);
+    group.names.set(target, (group.names.get(target) || 0) + row.count);
+    group.sources.push(raw);
+    group.products += row.count;
+  }
+
+  const categories = [];
+  for (const group of groups.values()) {
+    const [name] = [...group.names.entries()].sort((a, b) => b[1] - a[1])[0];
+    let category = await findCategory(name);
+    const created = !category;
+    if (!category && !dryRun) {
+      category = await Category.create({ name, slug: group.slug });
+    }
+    if (category && !dryRun) {
+      await Product.updateMany(
+        { categoryId: null, category: { $in: group.sources } },
+        { $set: { categoryId: category._id, category: category.name } }
+      );
+    }
+    categories.push({
+      name: category ? category.name : name,
+      slug: category ? category.slug : group.slug,
+      created,
+      products: group.products,
+      sources: group.sources,
+    });
+  }
+
+  return { categories: categories.sort((a, b) => a.name.localeCompare(b.name)), skipped };
+};
+
+module.exports = {
+  slugify,
+  findCategory,
+  resolveProductCategory,
+  categoryFilterIds,
+  productCounts,
+  buildCategoryTree,
+  assertValidParent,
+  renameCategoryReferences,
+  migrateCategoryStrings,
+};
@@ -0,0 +1,310 @@
+// File: backend/utils/checkout.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const HttpError = require('./httpError');
+const { roundCurrency } = require('./money');
+const { reserveStock, releaseStock } = require('./inventory');
+const { initialHistoryEntry, CANCELLATION_RELEASE_STEPS } = require('./orderStatus');
+const { applyPromotions, redeemCoupons, releaseCoupons } = require('./promotions');
+const { refundOrderPayment } = require('./payments');
+const { resolveShippingAddress } = require('./addresses');
+const { checkServiceability } = require('./serviceability');
+const { calculateTax } = require('./tax');
+
+// The price a customer pays today: the sale price when one is set, otherwise the regular price
+const getUnitPrice = (product) => (
+  product.salePrice !== null && product.salePrice !== undefined ? product.salePrice : product.price
+);
+
+// Price for a chosen variant: its own price override when set, otherwise the product price
+const getLinePrice = (product, variant) => (
+  variant && variant.price !== null && variant.price !== undefined ? variant.price : getUnitPrice(product)
+);
+
+// Units that can still be sold for the chosen variant (or the product when it has no variants)
+const getAvailableStock = (product, variant) => (variant ? variant.stock : product.stock);
+
+// Case-insensitive lookup of `value` in one of the product's option lists (size, colors).
+// Returns the catalogue spelling, '' when nothing was chosen and the product has no options,
+// or null when the choice is missing or not offered.
+const matchOption = (options, value) => {
+  const chosen = typeof value === 'string' ? value.trim() : '';
+  if (!options || options.length === 0) return chosen ? null : '';
+  if (!chosen) return null;
+  const match = options.find(option => option.toLowerCase() === chosen.toLowerCase());
+  return match === undefined ? null : match;
+};
+
+// Validate the size/colour chosen for `product` and return them as stored in the catalogue,
+// together with the matching variant for products that track stock per variant (null otherwise)
+const resolveSelection = (product, { size, color }) => {
+  const resolvedSize = matchOption(product.size, size);
+  if (resolvedSize === null) {
+    throw new HttpError(400, product.size.length
+      ? `Please choose one of the available sizes for "${product.name}": ${product.size.join(', ')}.`
+      : `"${product.name}" does not come in different sizes.`);
+  }
+  const resolvedColor = matchOption(product.colors, color);
+  if (resolvedColor === null) {
+    throw new HttpError(400, product.colors.length
+      ? `Please choose one of the available colours for "${product.name}": ${product.colors.join(', ')}.`
+      : `"${product.name}" does not come in different colours.`);
+  }
+
+  if (!product.variants || product.variants.length === 0) {
+    return { size: resolvedSize, color: resolvedColor, variant: null };
+  }
+  const variant = product.variants.find(candidate => candidate.size === resolvedSize && candidate.color === resolvedColor);
+  if (!variant) {
+    throw new HttpError(400, `"${product.name}" is not available in ${[resolvedSize, resolvedColor].filter(Boolean).join(' / ')}.`);
+  }
+  return { size: resolvedSize, color: resolvedColor, variant };
+};
+
+const parseQuantity = (item) => {
+  const quantity = Number(item && item.quantity);
+  if (!item || !mongoose.Types.ObjectId.isValid(item.productId) || !Number.isInteger(quantity) || quantity <= 0) {
+    throw new HttpError(400, `Invalid product data in order: ${JSON.stringify(item)}`);
+  }
+  return quantity;
+};
+
+// Build order line items from client input ({ productId, quantity, size, color }) using the current catalogue.
+// Names, prices and images are always taken from `Product`; anything the client sent for them is ignored.
+const priceOrderLines = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Order must contain products.');
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const quantity = parseQuantity(item);
+
+    const product = await Product.findById(item.productId);
+    if (!product) {
+      throw new HttpError(400, `Product ${item.productId} no longer exists.`);
+    }
+    const { size, color, variant } = resolveSelection(product, item);
+    const available = getAvailableStock(product, variant);
+    if (quantity > available) {
+      throw new HttpError(409, `Only ${available} left in stock for "${product.name}".`);
+    }
+
+    lines.push({
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      sku: (variant && variant.sku) || product.sku || '',
+      name: product.name,
+      category: product.category,
+      price: getLinePrice(product, variant),
+      quantity,
+      size,
+      color,
+      image: (variant && variant.image) || product.image,
+    });
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  return { lines, subtotal };
+};
+
+// Reprice saved cart/wishlist items against the live catalogue without failing on problems;
+// each item reports whether it can currently be bought and why not.
+const describeSavedItems = async (items) => {
+  const productIds = items.map(item => item.productId);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const described = items.map(item => {
+    const product = productMap.get(item.productId.toString());
+    const base = {
+      _id: item._id,
+      productId: item.productId,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      addedAt: item.addedAt,
+    };
+
+    if (!product) {
+      return { ...base, available: false, problem: 'This product is no longer sold.' };
+    }
+
+    let variant = null;
+    let problem = null;
+    try {
+      ({ variant } = resolveSelection(product, item));
+    } catch (err) {
+      problem = 'The selected size or colour is no longer available.';
+    }
+
+    const unitPrice = getLinePrice(product, variant);
+    const stock = getAvailableStock(product, variant);
+    const quantity = item.quantity || 1;
+    if (problem === null && stock === 0) {
+      problem = 'Out of stock.';
+    } else if (problem === null && quantity > stock) {
+      problem = `Only ${stock} left in stock.`;
+    }
+
+    return {
+      ...base,
+      variantId: variant ? variant._id : null,
+      name: product.name,
+      image: (variant && variant.image) || product.image,
+      price: product.price,
+      salePrice: product.salePrice,
+      unitPrice,
+      lineTotal: item.quantity !== undefined ? roundCurrency(unitPrice * item.quantity) : undefined,
+      stock,
+      available: problem === null,
+      problem,
+    };
+  });
+
+  const subtotal = roundCurrency(described
+    .filter(item => item.available && item.lineTotal !== undefined)
+    .reduce((sum, item) => sum + item.lineTotal, 0));
+
+  return { items: described, subtotal };
+};
+
+// Price a prospective order: catalogue prices, then promotions and the optional coupon code.
+// With a `shippingAddress`, the delivery charge for its zone and GST for its state are added;
+// `delivery` holds the serviceability result (which may say we do not deliver there) and
+// `taxes` the result of calculateTax, with each line's share also set on `lines`.
+// Returns { lines, subtotal, discounts, discountTotal, shipping, delivery, taxes, tax, total }.
+const quoteOrder = async ({ items, couponCode, userId, shippingAddress }) => {
+  const { lines, subtotal } = await priceOrderLines(items);
+  const { discounts, discountTotal } = await applyPromotions({ lines, subtotal, couponCode, userId });
+  const discounted = roundCurrency(subtotal - discountTotal);
+  const delivery = shippingAddress ? checkServiceability(shippingAddress, { orderValue: discounted }) : null;
+  const shipping = delivery && delivery.serviceable ? delivery.shippingCharge : 0;
+
+  const taxes = shippingAddress ? calculateTax({ lines, discountTotal, shipping, state: shippingAddress.state }) : null;
+  if (taxes) {
+    taxes.lines.forEach((lineTax, index) => Object.assign(lines[index], lineTax));
+  }
+  const tax = taxes ? taxes.tax : 0;
+  const addedTax = taxes && !taxes.pricesIncludeTax ? tax : 0;
+  return { lines, subtotal, discounts, discountTotal, shipping, delivery, taxes, tax, total: roundCurrency(discounted + shipping + addedTax) };
+};
+
+// Create an order for `userId`: price the lines from the catalogue, apply discounts,
+// reserve stock and coupon uses, and save.
+// `actor` ({ role, id }) is recorded as the author of the initial status history entry.
+// When `expectedTotal` is given and no longer matches the server price, the order is refused
+// so the customer can review the new prices. `idempotencyKey` is stored on the order; callers
+// look it up first (see findOrderByIdempotencyKey) so a retried request gets the same order back.
+// The address is `addressId` from the user's address book, the typed-in `shippingAddress`, or
+// else their default address; it is copied onto the order.
+const placeOrder = async ({ userId, items, shippingAddress: addressInput, addressId, paymentMethod, couponCode, expectedTotal, idempotencyKey, actor }) => {
+  const shippingAddress = await resolveShippingAddress(userId, { shippingAddress: addressInput, addressId });
+  if (!shippingAddress || !shippingAddress.personName || !shippingAddress.address || !shippingAddress.mobileNumber || !shippingAddress.pincode || !shippingAddress.state) {
+    throw new HttpError(400, 'All shipping address fields are required.');
+  }
+  if (!paymentMethod) {
+    throw new HttpError(400, 'Payment method is required.');
+  }
+
+  // Prices always come from the catalogue; the client total is only used to detect stale carts
+  const quote = await quoteOrder({ items, couponCode, userId, shippingAddress });
+  if (!quote.delivery.serviceable) {
+    throw new HttpError(400, quote.delivery.reason);
+  }
+  if (paymentMethod === 'Cash on Delivery' && !quote.delivery.codAllowed) {
+    throw new HttpError(400, `Cash on Delivery is not available for pincode ${quote.delivery.pincode} on this order. Please pay online.`);
+  }
+  if (expectedTotal !== undefined && roundCurrency(Number(expectedTotal)) !== quote.total) {
+    throw new HttpError(409, 'Prices have changed since you added these items. Please review your order.', { totalPrice: quote.total });
+  }
+
+  const order = new Order({
+    userId,
+    products: quote.lines,
+    shippingAddress,
+    paymentMethod,
+    pricing: {
+      subtotal: quote.subtotal,
+      discount: quote.discountTotal,
+      shipping: quote.shipping,
+      tax: quote.tax,
+      grandTotal: quote.total,
+      pricesIncludeTax: quote.taxes.pricesIncludeTax,
+      shippingTax: quote.taxes.shippingTax,
+      taxLines: quote.taxes.taxLines,
+    },
+    discounts: quote.discounts,
+    totalPrice: quote.total,
+    orderStatus: 'Pending',
+    deliveryOption: 'Option 1 - 5 days to delivery',
+    deliveryZone: quote.delivery.zone.code,
+    estimatedDeliveryDate: quote.delivery.estimatedDeliveryDate,
+    idempotencyKey: idempotencyKey || undefined,
+  });
+  order.statusHistory.push(initialHistoryEntry(order, actor));
+
+  // Validate before touching stock so a bad address does not reserve anything
+  await order.validate();
+  await reserveStock(quote.lines, { type: 'sale', reason: 'Order placed', actor, orderId: order._id });
+  const checkoutFailed = { type: 'cancellation', reason: 'Checkout failed', actor, orderId: order._id };
+  try {
+    await redeemCoupons(quote.discounts);
+  } catch (err) {
+    await releaseStock(quote.lines, checkoutFailed);
+    throw err;
+  }
+  try {
+    await order.save();
+  } catch (err) {
+    await releaseStock(quote.lines, checkoutFailed);
+    await releaseCoupons(quote.discounts);
+    if (err.code === 11000 && idempotencyKey) {
+      // A concurrent request with the same key won the race
+      throw new HttpError(409, 'An order with this Idempotency-Key is already being placed.');
+    }
+    throw err;
+  }
+
+  return order;
+};
+
+// Order previously created by `userId` with this Idempotency-Key, if any
+const findOrderByIdempotencyKey = async (userId, idempotencyKey) => {
+  if (!idempotencyKey) return null;
+  return Order.findOne({ userId, idempotencyKey });
+};
+
+// Give back what a cancelled order was holding: its stock, coupon uses and any captured payment.
+// Call after the cancellation is saved. Only the steps still in `order.pendingRelease` run (see
+// Order.runReleaseStep), so calling it again after a failure, or twice at once, never gives anything back twice.
+// `actor` ({ role, id }) is who cancelled, for the inventory ledger.
+const releaseOrderResources = async (order, actor = { role: 'system', id: null }) => {
+  const steps = {
+    stock: () => releaseStock(order.products, { type: 'cancellation', reason: 'Order cancelled', actor, orderId: order._id }),
+    coupons: () => releaseCoupons(order.discounts || []),
+    payment: () => refundOrderPayment(order),
+  };
+
+  for (const step of CANCELLATION_RELEASE_STEPS) {
+    await Order.runReleaseStep(order._id, step, steps[step]);
+  }
+  order.pendingRelease = [];
+};
+
+module.exports = {
+  getUnitPrice,
+  getLinePrice,
+  getAvailableStock,
+  roundCurrency,
+  matchOption,
+  resolveSelection,
+  priceOrderLines,
+  describeSavedItems,
+  quoteOrder,
+  placeOrder,
+  findOrderByIdempotencyKey,
+  releaseOrderResources,
+};
@@ -0,0 +1,33 @@
+// File: backend/utils/csv.js
+
+// Quote a value for CSV. Text starting with =, +, - or @ is prefixed with ' so spreadsheet
+// apps do not run it as a formula (CSV injection).
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+};
+
+// Columns are field names or { key, header } objects
+const columnKey = (column) => (typeof column === 'string' ? column : column.key);
+const columnHeader = (column) => (typeof column === 'string' ? column : column.header || column.key);
+
+// One CSV line (with trailing CRLF) for `row`, in the order of `columns`
+const toCsvRow = (row, columns) => columns.map(column => escapeCsvValue(row[columnKey(column)])).join(',') + '\r\n';
+
+const toCsvHeader = (columns) => columns.map(column => escapeCsvValue(columnHeader(column))).join(',') + '\r\n';
+
+// Whole CSV document for `rows`
+const toCsv = (rows, columns) => toCsvHeader(columns) + rows.map(row => toCsvRow(row, columns)).join('');
+
+module.exports = {
+  escapeCsvValue,
+  toCsvHeader,
+  toCsvRow,
+  toCsv,
+};
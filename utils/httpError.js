@@ -0,0 +1,14 @@
+// File: backend/utils/httpError.js
+
+// Error carrying the HTTP status a route should answer with.
+// Route handlers check `err.statusCode` in their catch block and reply with `err.message`.
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+module.exports = HttpError;
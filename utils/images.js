@@ -0,0 +1,139 @@
+// File: backend/utils/images.js
+
+const multer = require('multer');
+const sharp = require('sharp');
+const storage = require('../services/storage');
+const HttpError = require('./httpError');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif'];
+const MAX_IMAGE_BYTES = (parseFloat(process.env.MAX_IMAGE_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Every upload is re-encoded to WebP at these widths (never upscaled).
+// `large` is what product pages show; `medium` and `thumbnail` are for listings and galleries.
+const IMAGE_SIZES = {
+  large: 1200,
+  medium: 600,
+  thumbnail: 200,
+};
+
+// Files are kept in memory only long enough to be validated and re-encoded
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new HttpError(400, `Unsupported image type ${file.mimetype}. Allowed: JPEG, PNG, WebP, AVIF, GIF.`));
+    }
+    cb(null, true);
+  },
+});
+
+// Multer middleware for the given fields that answers upload problems with a 400 JSON error
+// instead of falling through to Express' default HTML error page.
+// `fields` is a multer fields list, e.g. [{ name: 'images', maxCount: 10 }].
+const acceptImages = (fields) => {
+  const middleware = imageUpload.fields(fields);
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: `Image is too large. Maximum size is ${MAX_IMAGE_BYTES / (1024 * 1024)} MB.` });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ message: `Upload error: ${err.message}` });
+      }
+      return res.status(err.statusCode || 500).json({ message: err.message });
+    });
+  };
+};
+
+// Files uploaded under `fieldName` by `acceptImages`, or an empty list
+const uploadedFiles = (req, fieldName) => (req.files && req.files[fieldName]) || [];
+
+// Validate an uploaded image and store its WebP derivatives through the storage driver.
+// Auto-rotates using EXIF orientation, then drops all metadata (EXIF, GPS, ICC comments).
+// Returns { url, mediumUrl, thumbnailUrl, storageKeys } for the stored files.
+const processImage = async (file, prefix = 'image') => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    throw new HttpError(400, `${file.originalname || 'Upload'} is not a readable image.`);
+  }
+  if (!metadata.width || !metadata.height) {
+    throw new HttpError(400, `${file.originalname || 'Upload'} is not a readable image.`);
+  }
+
+  const baseName = `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const written = {};
+
+  try {
+    for (const [variant, width] of Object.entries(IMAGE_SIZES)) {
+      const key = `${baseName}-${variant}.webp`;
+      const buffer = await sharp(file.buffer)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      await storage.put(key, buffer, 'image/webp');
+      written[variant] = key;
+    }
+  } catch (err) {
+    await deleteKeys(Object.values(written));
+    throw err;
+  }
+
+  return {
+    url: storage.getUrl(written.large),
+    mediumUrl: storage.getUrl(written.medium),
+    thumbnailUrl: storage.getUrl(written.thumbnail),
+    storageKeys: Object.values(written),
+  };
+};
+
+// Process several uploads; if one fails, files already written for the others are removed
+const processImages = async (files, prefix) => {
+  const processed = [];
+  try {
+    for (const file of files) {
+      processed.push(await processImage(file, prefix));
+    }
+  } catch (err) {
+    await deleteImages(processed);
+    throw err;
+  }
+  return processed;
+};
+
+// Remove stored files by key. Failures are logged rather than thrown: a leftover file
+// must never turn an otherwise successful request into an error.
+const deleteKeys = async (keys) => {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storage.delete(key);
+    } catch (err) {
+      console.error(`❌ Failed to delete stored file ${key}:`, err.message);
+    }
+  }
+};
+
+// Remove images and all of their derivatives. Images saved before storage keys were
+// recorded (or plain `image` URLs) fall back to deriving the key from each URL.
+const deleteImages = async (images) => {
+  for (const image of images.filter(Boolean)) {
+    const keys = image.storageKeys && image.storageKeys.length > 0
+      ? image.storageKeys
+      : [image.url, image.mediumUrl, image.thumbnailUrl].map(url => storage.keyFromUrl(url));
+    await deleteKeys(keys);
+  }
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  IMAGE_SIZES,
+  acceptImages,
+  uploadedFiles,
+  processImage,
+  processImages,
+  deleteImages,
+};
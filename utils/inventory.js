@@ -0,0 +1,358 @@
+// File: backend/utils/inventory.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const HttpError = require('./httpError');
+
+// Reorder threshold for products that do not set their own
+const DEFAULT_REORDER_THRESHOLD = Number.isNaN(parseInt(process.env.DEFAULT_REORDER_THRESHOLD))
+  ? 5
+  : parseInt(process.env.DEFAULT_REORDER_THRESHOLD);
+
+// Movement types staff can record by hand; the others come from orders and returns
+const MANUAL_MOVEMENT_TYPES = ['restock', 'adjustment'];
+
+const STOCK_PROJECTION = { name: 1, sku: 1, stock: 1, reorderThreshold: 1, variants: 1 };
+
+// Conditional update that takes `quantity` units of a line out of stock, or changes nothing.
+// Lines with a `variantId` are taken from that variant; the product total moves with it.
+const decrementQuery = (line) => {
+  if (line.variantId) {
+    return [
+      { _id: line.productId, variants: { $elemMatch: { _id: line.variantId, stock: { $gte: line.quantity } } } },
+      { $inc: { 'variants.$.stock': -line.quantity, stock: -line.quantity } },
+    ];
+  }
+  return [
+    { _id: line.productId, stock: { $gte: line.quantity } },
+    { $inc: { stock: -line.quantity } },
+  ];
+};
+
+const incrementQuery = (line) => {
+  if (line.variantId) {
+    return [
+      { _id: line.productId, 'variants._id': line.variantId },
+      { $inc: { 'variants.$.stock': line.quantity, stock: line.quantity } },
+    ];
+  }
+  return [
+    { _id: line.productId },
+    { $inc: { stock: line.quantity } },
+  ];
+};
+
+const reorderThresholdOf = (product) => (
+  product.reorderThreshold === null || product.reorderThreshold === undefined
+    ? DEFAULT_REORDER_THRESHOLD
+    : product.reorderThreshold
+);
+
+// Current stock of the line's variant (or the product) in an updated product document
+const stockOfLine = (product, line) => {
+  if (!line.variantId) return product.stock;
+  const variant = product.variants.find(entry => entry._id.equals(line.variantId));
+  return variant ? variant.stock : null;
+};
+
+// Apply a stock update and return the updated product (null if the condition did not match)
+const updateStock = ([filter, update]) => Product.findOneAndUpdate(filter, update, { new: true, projection: STOCK_PROJECTION });
+
+// Ledger entry for `delta` units of `line` moving. `movement` is { type, reason, actor, orderId, returnRequestId }.
+const movementEntry = (line, delta, product, movement) => {
+  const variant = line.variantId && product ? product.variants.find(entry => entry._id.equals(line.variantId)) : null;
+  return {
+    productId: line.productId,
+    variantId: line.variantId || null,
+    sku: (variant && variant.sku) || (product && product.sku) || line.sku || '',
+    name: (product && product.name) || line.name || '',
+    type: movement.type,
+    quantity: delta,
+    stockAfter: product ? stockOfLine(product, line) : null,
+    reason: movement.reason,
+    actor: { role: movement.actor.role, id: movement.actor.id ? String(movement.actor.id) : null },
+    orderId: movement.orderId || null,
+    returnRequestId: movement.returnRequestId || null,
+  };
+};
+
+// Write ledger entries. Stock has already changed by now, so a failure here is logged (and can be
+// repaired with reconcileInventory) rather than failing the customer's order.
+const recordMovements = async (entries) => {
+  if (entries.length === 0) return;
+  try {
+    await InventoryMovement.insertMany(entries);
+  } catch (err) {
+    console.error('❌ Failed to record inventory movements:', err);
+  }
+};
+
+// Log when a movement takes a product/variant to or below its reorder threshold
+const warnIfLowStock = (line, product, stockBefore) => {
+  const stockAfter = stockOfLine(product, line);
+  const threshold = reorderThresholdOf(product);
+  if (stockAfter !== null && stockAfter <= threshold && stockBefore > threshold) {
+    console.warn(`⚠️ Low stock: "${product.name}"${line.variantId ? ` (variant ${line.variantId})` : ''} is down to ${stockAfter} (reorder at ${threshold}).`);
+  }
+};
+
+// Put stock back without touching the ledger (undoing our own partial work)
+const restoreStock = async (lines) => {
+  for (const line of lines) {
+    await Product.updateOne(...incrementQuery(line));
+  }
+};
+
+// Atomically take `quantity` units of each line out of stock and record one ledger movement per line.
+// Each decrement is a conditional update (`stock >= quantity`), so two concurrent checkouts
+// can never both take the last unit. If any line fails, already-reserved lines are put back.
+const reserveStock = async (lines, movement) => {
+  const reserved = [];
+
+  for (const line of lines) {
+    const product = await updateStock(decrementQuery(line));
+
+    if (!product) {
+      await restoreStock(reserved.map(entry => entry.line));
+      throw new HttpError(409, `Not enough stock for "${line.name}".`);
+    }
+    reserved.push({ line, product });
+  }
+
+  reserved.forEach(({ line, product }) => warnIfLowStock(line, product, stockOfLine(product, line) + line.quantity));
+  await recordMovements(reserved.map(({ line, product }) => movementEntry(line, -line.quantity, product, movement)));
+};
+
+// Return stock for the given lines (cancelled orders, failed checkouts, returns) and record it
+const releaseStock = async (lines, movement) => {
+  const entries = [];
+  for (const line of lines) {
+    const product = await updateStock(incrementQuery(line));
+    if (!product) {
+      console.warn(`⚠️ Could not restock ${line.quantity} x "${line.name}": product or variant no longer exists.`);
+      continue;
+    }
+    entries.push(movementEntry(line, line.quantity, product, movement));
+  }
+  await recordMovements(entries);
+};
+
+// Stock per ledger key ('<productId>' or '<productId>:<variantId>') for one product
+const stockLevels = (product) => {
+  const levels = new Map();
+  if (product.variants && product.variants.length > 0) {
+    product.variants.forEach(variant => levels.set(`${product._id}:${variant._id}`, variant.stock));
+  } else {
+    levels.set(String(product._id), product.stock);
+  }
+  return levels;
+};
+
+// Record adjustments for stock that was set directly on a product (product form, bulk import).
+// `before` is `stockLevels(product)` taken before the edit (an empty Map for new products).
+const recordStockEdits = async (before, product, { actor, reason, type = 'adjustment' }) => {
+  const after = stockLevels(product);
+  const entries = [];
+  const add = (key, delta, stockAfter) => {
+    if (!delta) return;
+    const [, variantId] = key.split(':');
+    const line = { productId: product._id, variantId: variantId || null, name: product.name };
+    entries.push({ ...movementEntry(line, delta, product, { type, reason, actor }), stockAfter });
+  };
+
+  after.forEach((stock, key) => add(key, stock - (before.get(key) || 0), stock));
+  // Variants that were removed (or the product switching to per-variant stock) take their stock with them
+  before.forEach((stock, key) => { if (!after.has(key)) add(key, -stock, 0); });
+  await recordMovements(entries);
+};
+
+// Save a product edited through the product form without losing stock movements (checkouts,
+// cancellations, returns) made since the form was opened. `edit(product)` applies the form to the
+// product; stock it sets is taken as a change against `loadedStock`, the stock the form showed
+// (`loadedStock` from parseProductInput). Where the form did not send it, the stock when the request
+// arrived is used instead, which cannot see sales made before that. The save only matches while
+// stock is still what was read, otherwise it is retried on a fresh copy.
+// Returns { product, stockBefore } for recordStockEdits.
+const saveProductEdit = async (product, edit, { loadedStock = {}, attempts = 3 } = {}) => {
+  const loaded = stockLevels(product);
+  loaded.forEach((stock, key) => {
+    const [, variantId] = key.split(':');
+    const formStock = variantId ? (loadedStock.variants && loadedStock.variants.get(variantId)) : loadedStock.product;
+    if (formStock !== undefined) loaded.set(key, formStock);
+  });
+  let current = product;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const stockBefore = stockLevels(current);
+    edit(current);
+
+    // Move stock by what the form changed since `loaded`, on top of the latest stock
+    const rebase = (key, formStock) => (
+      loaded.has(key) && stockBefore.has(key) ? stockBefore.get(key) + formStock - loaded.get(key) : formStock
+    );
+    if (current.variants.length > 0) {
+      current.variants.forEach((variant) => {
+        variant.stock = rebase(`${current._id}:${variant._id}`, variant.stock);
+      });
+    } else {
+      current.stock = rebase(String(current._id), current.stock);
+    }
+
+    // Passed to the driver as is, so IDs must already be ObjectIds
+    current.$where = {
+      $and: [...stockBefore].map(([key, stock]) => {
+        const [, variantId] = key.split(':');
+        return variantId
+          ? { variants: { $elemMatch: { _id: new mongoose.Types.ObjectId(variantId), stock } } }
+          : { stock };
+      }),
+    };
+    try {
+      await current.save();
+      return { product: current, stockBefore };
+    } catch (err) {
+      // Edits to arrays (images, tags, variants) also add a version check, so a stale copy can
+      // fail as either error
+      if (err.name !== 'DocumentNotFoundError' && err.name !== 'VersionError') throw err;
+      current = await Product.findById(product._id);
+      if (!current) throw new HttpError(404, 'Product not found');
+      if (attempt >= attempts) {
+        throw new HttpError(409, 'Stock for this product is changing too quickly to save the edit. Please try again.');
+      }
+    }
+  }
+};
+
+// Record a restock or manual adjustment from staff. `quantity` is the signed change in units
+// (restocks must be positive). Returns the updated product.
+const adjustStock = async ({ productId, variantId, type, quantity, reason, actor }) => {
+  if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+    throw new HttpError(400, `Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}.`);
+  }
+  const delta = Number(quantity);
+  if (!Number.isInteger(delta) || delta === 0) {
+    throw new HttpError(400, 'Quantity must be a whole number other than zero.');
+  }
+  if (type === 'restock' && delta < 0) {
+    throw new HttpError(400, 'Restock quantity must be positive. Use an adjustment to remove stock.');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new HttpError(400, 'Please give a reason for the stock change.');
+  }
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new HttpError(400, 'Invalid product ID format.');
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw new HttpError(404, 'Product not found.');
+  }
+  if (product.variants.length > 0 && !(variantId && product.variants.id(variantId))) {
+    throw new HttpError(400, 'This product tracks stock per variant. Please choose a valid variant.');
+  }
+  if (product.variants.length === 0 && variantId) {
+    throw new HttpError(400, 'This product has no variants.');
+  }
+
+  const line = { productId: product._id, variantId: variantId || null, name: product.name, quantity: Math.abs(delta) };
+  const updated = await updateStock(delta < 0 ? decrementQuery(line) : incrementQuery(line));
+  if (!updated) {
+    throw new HttpError(409, `Cannot remove ${-delta} units: only ${stockOfLine(product, line)} in stock.`);
+  }
+  if (delta < 0) warnIfLowStock(line, updated, stockOfLine(updated, line) - delta);
+  await recordMovements([movementEntry(line, delta, updated, { type, reason: String(reason).trim(), actor })]);
+  return updated;
+};
+
+// Compare stock on products with the sum of their ledger movements.
+// With `apply`, record adjustments so the ledger matches the stock on the products (the physical
+// count is treated as the truth; products from before the ledger get their opening balance this way).
+// Returns the list of differences found.
+const reconcileInventory = async ({ productId, apply = false, actor } = {}) => {
+  if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+    throw new HttpError(400, 'Invalid product ID format.');
+  }
+  const match = productId ? { productId: new mongoose.Types.ObjectId(String(productId)) } : {};
+  const totals = await InventoryMovement.aggregate([
+    { $match: match },
+    { $group: { _id: { productId: '$productId', variantId: '$variantId' }, quantity: { $sum: '$quantity' } } },
+  ]);
+  const ledger = new Map(totals.map(total => [
+    total._id.variantId ? `${total._id.productId}:${total._id.variantId}` : String(total._id.productId),
+    total.quantity,
+  ]));
+
+  const differences = [];
+  const cursor = Product.find(productId ? { _id: productId } : {}).select(STOCK_PROJECTION).cursor();
+  for await (const product of cursor) {
+    stockLevels(product).forEach((stock, key) => {
+      const ledgerStock = ledger.get(key) || 0;
+      if (stock === ledgerStock) return;
+      const [, variantId] = key.split(':');
+      const variant = variantId ? product.variants.id(variantId) : null;
+      differences.push({
+        productId: product._id,
+        variantId: variantId || null,
+        name: product.name,
+        sku: (variant && variant.sku) || product.sku || '',
+        size: variant ? variant.size : '',
+        color: variant ? variant.color : '',
+        stock,
+        ledgerStock,
+        difference: stock - ledgerStock,
+      });
+    });
+  }
+
+  if (apply) {
+    await recordMovements(differences.map(difference => ({
+      productId: difference.productId,
+      variantId: difference.variantId,
+      sku: difference.sku,
+      name: difference.name,
+      type: 'adjustment',
+      quantity: difference.difference,
+      stockAfter: difference.stock,
+      reason: 'Reconciliation: ledger brought in line with stock on hand',
+      actor: { role: actor.role, id: actor.id ? String(actor.id) : null },
+    })));
+  }
+  return differences;
+};
+
+// Products and variants at or below their reorder threshold, lowest stock first
+const findLowStock = async ({ category } = {}) => Product.aggregate([
+  ...(category ? [{ $match: { category } }] : []),
+  { $addFields: { threshold: { $ifNull: ['$reorderThreshold', DEFAULT_REORDER_THRESHOLD] } } },
+  { $unwind: { path: '$variants', preserveNullAndEmptyArrays: true } },
+  {
+    $project: {
+      _id: 0,
+      productId: '$_id',
+      variantId: { $ifNull: ['$variants._id', null] },
+      name: 1,
+      category: 1,
+      sku: { $ifNull: ['$variants.sku', '$sku'] },
+      size: { $ifNull: ['$variants.size', ''] },
+      color: { $ifNull: ['$variants.color', ''] },
+      stock: { $ifNull: ['$variants.stock', '$stock'] },
+      reorderThreshold: '$threshold',
+    },
+  },
+  { $match: { $expr: { $lte: ['$stock', '$reorderThreshold'] } } },
+  { $sort: { stock: 1, name: 1 } },
+]);
+
+module.exports = {
+  DEFAULT_REORDER_THRESHOLD,
+  MANUAL_MOVEMENT_TYPES,
+  reserveStock,
+  releaseStock,
+  stockLevels,
+  recordStockEdits,
+  saveProductEdit,
+  adjustStock,
+  reconcileInventory,
+  findLowStock,
+};
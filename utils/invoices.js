@@ -0,0 +1,98 @@
+// File: backend/utils/invoices.js
+
+const Counter = require('../models/Counter');
+const { roundCurrency } = require('./money');
+const { SELLER_STATE, calculateTax } = require('./tax');
+
+// Seller details printed on invoices. SELLER_STATE (see utils/tax.js) decides CGST + SGST or IGST.
+const SELLER = {
+  name: process.env.SELLER_NAME || 'Slugma',
+  address: process.env.SELLER_ADDRESS || '',
+  gstin: process.env.SELLER_GSTIN || '',
+  state: SELLER_STATE,
+};
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'SLG';
+const INVOICE_TIMEZONE = 'Asia/Kolkata';
+
+// Indian financial year (April to March) of `date`, e.g. '2026-27'
+const financialYear = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: INVOICE_TIMEZONE, year: 'numeric', month: 'numeric' })
+    .formatToParts(date);
+  const year = Number(parts.find(part => part.type === 'year').value);
+  const month = Number(parts.find(part => part.type === 'month').value);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Next number in the invoice series for the financial year of `date`, e.g. 'SLG/2026-27/00042'.
+// Each financial year starts again at 1.
+const nextInvoiceNumber = async (date = new Date()) => {
+  const year = financialYear(date);
+  const seq = await Counter.nextSequence(`invoice:${year}`);
+  return `${INVOICE_PREFIX}/${year}/${String(seq).padStart(5, '0')}`;
+};
+
+// Invoice lines and GST summary for an order, from the tax worked out at checkout.
+// Orders placed before tax was stored are worked out again with the current rates.
+const invoiceBreakdown = (order) => {
+  const pricing = order.pricing || {};
+  const stored = pricing.taxLines && pricing.taxLines.length > 0;
+  const taxes = stored
+    ? {
+      lines: order.products,
+      shippingTax: pricing.shippingTax,
+      taxLines: pricing.taxLines,
+      tax: pricing.tax,
+      pricesIncludeTax: pricing.pricesIncludeTax,
+    }
+    : calculateTax({
+      lines: order.products,
+      discountTotal: pricing.discount || 0,
+      shipping: pricing.shipping || 0,
+      state: order.shippingAddress.state,
+    });
+
+  const lines = order.products.map((line, index) => ({
+    description: [line.name, [line.size, line.color].filter(Boolean).join(' / ')].filter(Boolean).join(' - '),
+    sku: line.sku || '',
+    quantity: line.quantity,
+    unitPrice: line.price,
+    discount: taxes.lines[index].discount,
+    taxRate: taxes.lines[index].taxRate,
+    taxableValue: taxes.lines[index].taxableValue,
+    tax: taxes.lines[index].tax,
+  }));
+  if (pricing.shipping) {
+    lines.push({
+      description: 'Shipping charges',
+      sku: '',
+      quantity: 1,
+      unitPrice: pricing.shipping,
+      discount: 0,
+      taxRate: taxes.shippingTax.rate,
+      taxableValue: taxes.shippingTax.taxableValue,
+      tax: taxes.shippingTax.amount,
+    });
+  }
+
+  const taxableValue = roundCurrency(lines.reduce((sum, line) => sum + line.taxableValue, 0));
+  return {
+    seller: SELLER,
+    pricesIncludeTax: taxes.pricesIncludeTax,
+    lines,
+    taxLines: taxes.taxLines,
+    taxableValue,
+    totalTax: taxes.tax,
+    // Paise lost when spreading discounts and splitting tax
+    roundOff: roundCurrency(order.totalPrice - taxableValue - taxes.tax) || 0,
+    total: order.totalPrice,
+  };
+};
+
+module.exports = {
+  SELLER,
+  financialYear,
+  nextInvoiceNumber,
+  invoiceBreakdown,
+};
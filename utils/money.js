@@ -0,0 +1,8 @@
+// File: backend/utils/money.js
+
+// Rounds to whole paise so totals do not drift with floating point
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  roundCurrency,
+};
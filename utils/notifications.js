@@ -0,0 +1,118 @@
+// File: backend/utils/notifications.js
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const senders = require('../services/notifications');
+const { roundCurrency } = require('./money');
+
+// Channels order notifications go out on (comma-separated NOTIFICATION_CHANNELS)
+const NOTIFICATION_CHANNELS = (process.env.NOTIFICATION_CHANNELS || 'inapp,sms,email')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(Boolean);
+
+const ARRIVING_TODAY = 'Option 5 - Arriving Today';
+
+// Message templates per order event. `context` comes from orderContext() below.
+const ORDER_TEMPLATES = {
+  'order.placed': {
+    title: 'Order placed',
+    text: ({ name, ref, total, itemCount }) =>
+      `Hi ${name}, thanks for shopping with Slugma! We have received your order #${ref} (${itemCount} item${itemCount === 1 ? '' : 's'}, ₹${total}). We will let you know once it is confirmed.`,
+  },
+  'order.confirmed': {
+    title: 'Order confirmed',
+    text: ({ name, ref }) => `Hi ${name}, your order #${ref} is confirmed and is being prepared.`,
+  },
+  'order.shipped': {
+    title: 'Order shipped',
+    text: ({ name, ref, adminMessage }) =>
+      `Hi ${name}, your order #${ref} is on its way!${adminMessage ? ` ${adminMessage}` : ''}`,
+  },
+  'order.arriving_today': {
+    title: 'Arriving today',
+    text: ({ name, ref, total, paymentMethod }) =>
+      `Hi ${name}, your order #${ref} will be delivered today.${paymentMethod === 'Cash on Delivery' ? ` Please keep ₹${total} ready.` : ''}`,
+  },
+  'order.cancelled': {
+    title: 'Order cancelled',
+    text: ({ name, ref, paidOnline }) =>
+      `Hi ${name}, your order #${ref} has been cancelled.${paidOnline ? ' Your payment will be refunded to the original payment method.' : ''}`,
+  },
+  'order.delivered': {
+    title: 'Order delivered',
+    text: ({ name, ref }) =>
+      `Hi ${name}, your order #${ref} has been delivered. Please confirm you received it in your orders page. We hope you love it!`,
+  },
+  'order.message': {
+    title: 'Update on your order',
+    text: ({ name, ref, adminMessage }) => `Hi ${name}, an update on your order #${ref}: ${adminMessage}`,
+  },
+};
+
+// Events customers hear about for a stored order change (see services/events.js)
+const orderEventNames = ({ changes, isNew }) => {
+  const names = isNew ? ['order.placed'] : [];
+  changes.forEach(change => {
+    if (change.field === 'orderStatus') {
+      if (change.to === 'Confirmed') names.push('order.confirmed');
+      if (change.to === 'Shipped') names.push('order.shipped');
+      if (change.to === 'Cancelled') names.push('order.cancelled');
+      if (change.to === 'Delivered') names.push('order.delivered');
+    }
+    if (change.field === 'deliveryOption' && change.to === ARRIVING_TODAY) names.push('order.arriving_today');
+    if (change.field === 'adminMessage' && change.to) names.push('order.message');
+  });
+  // The shipped message already carries the admin message when both change together
+  if (names.includes('order.shipped')) return names.filter(name => name !== 'order.message');
+  return names;
+};
+
+const orderContext = (order, user) => ({
+  name: user.username,
+  ref: order._id.toString().slice(-8).toUpperCase(),
+  total: roundCurrency(order.totalPrice),
+  itemCount: order.products.reduce((sum, line) => sum + line.quantity, 0),
+  adminMessage: order.adminMessage,
+  paymentMethod: order.paymentMethod,
+  paidOnline: order.paymentStatus === 'Paid',
+});
+
+// Send one notification on every enabled channel. Channels fail independently.
+const deliver = async (user, { event, title, message, orderId }) => {
+  for (const channel of NOTIFICATION_CHANNELS) {
+    try {
+      if (channel === 'inapp') {
+        await Notification.create({ userId: user._id, orderId, event, title, message });
+      } else if (channel === 'sms' && user.mobileNumber) {
+        await senders.sms.send({ channel, to: user.mobileNumber, subject: title, text: message });
+      } else if (channel === 'email' && user.email) {
+        await senders.email.send({ channel, to: user.email, subject: `Slugma: ${title}`, text: message });
+      }
+    } catch (err) {
+      console.error(`❌ Failed to send ${event} notification by ${channel} to user ${user._id}:`, err);
+    }
+  }
+};
+
+// `order.changed` subscriber: notify the customer about each event in the change
+const notifyOrderChange = async ({ order, changes, isNew }) => {
+  const eventNames = orderEventNames({ changes, isNew });
+  if (eventNames.length === 0) return;
+
+  const user = await User.findById(order.userId).select('username mobileNumber email');
+  if (!user) return;
+
+  const context = orderContext(order, user);
+  for (const event of eventNames) {
+    const template = ORDER_TEMPLATES[event];
+    await deliver(user, { event, title: template.title, message: template.text(context), orderId: order._id });
+  }
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  ORDER_TEMPLATES,
+  orderEventNames,
+  notifyOrderChange,
+};
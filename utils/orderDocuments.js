@@ -0,0 +1,178 @@
+// File: backend/utils/orderDocuments.js
+
+const PDFDocument = require('pdfkit');
+const { invoiceBreakdown } = require('./invoices');
+
+// PDF invoices and packing slips. Each function writes a complete PDF to `stream`
+// (usually the Express response) and ends it.
+
+const MARGIN = 40;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// The built-in PDF fonts have no rupee sign
+const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' })
+  : '');
+
+const newDocument = (stream, title) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+  doc.pipe(stream);
+  return doc;
+};
+
+// One row of a table. `columns` is [{ label, width, align }], `values` the cell texts.
+const drawRow = (doc, columns, values, { bold = false } = {}) => {
+  const top = doc.y;
+  let x = MARGIN;
+  let height = 0;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  columns.forEach((column, index) => {
+    const text = String(values[index] === undefined || values[index] === null ? '' : values[index]);
+    doc.text(text, x, top, { width: column.width - 4, align: column.align || 'left' });
+    height = Math.max(height, doc.y - top);
+    x += column.width;
+  });
+  doc.y = top + height + 4;
+  doc.x = MARGIN;
+};
+
+const drawTable = (doc, columns, rows) => {
+  drawRow(doc, columns, columns.map(column => column.label), { bold: true });
+  doc.moveTo(MARGIN, doc.y - 2).lineTo(MARGIN + CONTENT_WIDTH, doc.y - 2).stroke();
+  rows.forEach((row) => {
+    if (doc.y > doc.page.height - MARGIN * 3) doc.addPage();
+    drawRow(doc, columns, row);
+  });
+};
+
+const drawAddress = (doc, heading, address, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(heading, x, y, { width });
+  doc.font('Helvetica').fontSize(9)
+    .text([address.personName, address.address, `${address.state} - ${address.pincode}`, `Phone: ${address.mobileNumber}`].join('\n'), { width });
+};
+
+// Tax invoice for a confirmed order
+const writeInvoicePdf = (order, stream) => {
+  const breakdown = invoiceBreakdown(order);
+  const { seller } = breakdown;
+  const doc = newDocument(stream, `Invoice ${order.invoiceNumber}`);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', { align: 'right' });
+  doc.font('Helvetica-Bold').fontSize(12).text(seller.name, MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(9);
+  if (seller.address) doc.text(seller.address, { width: CONTENT_WIDTH / 2 });
+  doc.text(`State: ${seller.state}`);
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+
+  doc.moveDown();
+  const detailsTop = doc.y;
+  drawAddress(doc, 'Bill / Ship to', order.shippingAddress, MARGIN, detailsTop, CONTENT_WIDTH / 2);
+  const addressBottom = doc.y;
+  doc.font('Helvetica').fontSize(9).text([
+    `Invoice No: ${order.invoiceNumber}`,
+    `Invoice Date: ${formatDate(order.invoicedAt)}`,
+    `Order ID: ${order._id}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+    `Payment: ${order.paymentMethod}${order.paymentStatus ? ` (${order.paymentStatus})` : ''}`,
+    `Place of supply: ${order.shippingAddress.state}`,
+  ].join('\n'), MARGIN + CONTENT_WIDTH / 2, detailsTop, { width: CONTENT_WIDTH / 2, align: 'right' });
+  doc.y = Math.max(doc.y, addressBottom) + 16;
+  doc.x = MARGIN;
+
+  const columns = [
+    { label: '#', width: 20 },
+    { label: 'Item', width: 165 },
+    { label: 'Qty', width: 30, align: 'right' },
+    { label: 'Unit price', width: 65, align: 'right' },
+    { label: 'Discount', width: 55, align: 'right' },
+    { label: 'Taxable value', width: 70, align: 'right' },
+    { label: 'GST', width: 45, align: 'right' },
+    { label: 'Amount', width: CONTENT_WIDTH - 450, align: 'right' },
+  ];
+  drawTable(doc, columns, breakdown.lines.map((line, index) => [
+    index + 1,
+    line.sku ? `${line.description}\nSKU: ${line.sku}` : line.description,
+    line.quantity,
+    money(line.unitPrice),
+    money(line.discount),
+    money(line.taxableValue),
+    `${line.taxRate}%`,
+    money(line.taxableValue + line.tax),
+  ]));
+
+  doc.moveDown();
+  const totals = [
+    ['Taxable value', breakdown.taxableValue],
+    ...breakdown.taxLines.map(line => [`${line.type} @ ${line.rate}% on ${money(line.taxableValue)}`, line.amount]),
+    ...(breakdown.roundOff ? [['Round off', breakdown.roundOff]] : []),
+    ['Total', breakdown.total],
+  ];
+  totals.forEach(([label, value], index) => {
+    drawRow(doc, [{ width: CONTENT_WIDTH - 120, align: 'right' }, { width: 120, align: 'right' }], [label, money(value)], {
+      bold: index === totals.length - 1,
+    });
+  });
+  if (order.refundedAmount) {
+    doc.font('Helvetica').fontSize(9).text(`Refunded for returns: ${money(order.refundedAmount)}`, { align: 'right' });
+  }
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor('#555555')
+    .text(`${breakdown.pricesIncludeTax ? 'Prices include GST. ' : ''}This is a computer-generated invoice and does not require a signature.`, MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'center' });
+  doc.end();
+};
+
+// One packing slip page per order, for the warehouse. Shows no prices.
+const writePackingSlipsPdf = (orders, stream) => {
+  const doc = newDocument(stream, 'Packing slips');
+
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(16).text('PACKING SLIP', MARGIN, MARGIN);
+    doc.font('Helvetica').fontSize(9).text([
+      `Order ID: ${order._id}`,
+      `Order Date: ${formatDate(order.createdAt)}`,
+      `Payment: ${order.paymentMethod}${order.paymentMethod === 'Cash on Delivery' ? ` - collect ${money(order.totalPrice)}` : ''}`,
+      ...(order.estimatedDeliveryDate ? [`Deliver by: ${formatDate(order.estimatedDeliveryDate)}`] : []),
+    ].join('\n'));
+
+    doc.moveDown();
+    drawAddress(doc, 'Ship to', order.shippingAddress, MARGIN, doc.y, CONTENT_WIDTH);
+    doc.moveDown();
+    doc.x = MARGIN;
+
+    drawTable(doc, [
+      { label: 'Packed', width: 45 },
+      { label: 'Item', width: 230 },
+      { label: 'SKU', width: 110 },
+      { label: 'Size / Colour', width: 85 },
+      { label: 'Qty', width: CONTENT_WIDTH - 470, align: 'right' },
+    ], order.products.map(line => [
+      '[   ]',
+      line.name,
+      line.sku || '',
+      [line.size, line.color].filter(Boolean).join(' / '),
+      line.quantity,
+    ]));
+
+    const itemCount = order.products.reduce((sum, line) => sum + line.quantity, 0);
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text(`Total items: ${itemCount}`, { align: 'right' });
+    if (order.adminMessage) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(9).text(`Note: ${order.adminMessage}`);
+    }
+  });
+
+  if (orders.length === 0) {
+    doc.font('Helvetica').fontSize(12).text('No orders to pack.');
+  }
+  doc.end();
+};
+
+module.exports = {
+  writeInvoicePdf,
+  writePackingSlipsPdf,
+};
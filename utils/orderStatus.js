@@ -0,0 +1,173 @@
+// File: backend/utils/orderStatus.js
+
+const HttpError = require('./httpError');
+
+// Single source of truth for how an order may move through its lifecycle.
+// ORDER_STATUS_TRANSITIONS[from][to] lists the roles allowed to make that move.
+//   admin  - staff via PUT /api/orders/:id
+//   user   - the customer who owns the order (cancel, confirm-received)
+//   system - automated processes such as payment reconciliation
+const ORDER_STATUS_TRANSITIONS = {
+  'Pending': {
+    'Confirmed': ['admin', 'system'],
+    'Cancelled': ['admin', 'user', 'system'],
+  },
+  'Confirmed': {
+    'Processing': ['admin'],
+    'Cancelled': ['admin', 'user'],
+  },
+  'Processing': {
+    'Shipped': ['admin'],
+    'Cancelled': ['admin', 'user'],
+  },
+  'Shipped': {
+    'Delivered': ['admin'],
+    'Delivered & Confirmed': ['user'],
+  },
+  'Delivered': {
+    'Delivered & Confirmed': ['user'],
+  },
+  'Cancelled': {},
+  'Delivered & Confirmed': {},
+};
+
+// Delivery timeline stages, in order. They may only move forward.
+const DELIVERY_OPTIONS = [
+  'Option 1 - 5 days to delivery',
+  'Option 2 - 3 days to delivery',
+  'Option 3 - 2 days to delivery',
+  'Option 4 - 1 day to delivery',
+  'Option 5 - Arriving Today',
+];
+
+// Statuses of an order that has been confirmed and so has a tax invoice
+const INVOICED_STATUSES = ['Confirmed', 'Processing', 'Shipped', 'Delivered', 'Delivered & Confirmed'];
+
+// What a cancellation gives back, in order (see releaseOrderResources in utils/checkout.js)
+const CANCELLATION_RELEASE_STEPS = ['stock', 'coupons', 'payment'];
+
+// Customers may only cancel while delivery is still at one of these early stages
+const CUSTOMER_CANCELLABLE_DELIVERY_OPTIONS = DELIVERY_OPTIONS.slice(0, 2);
+
+const isTerminalStatus = (status) => Object.keys(ORDER_STATUS_TRANSITIONS[status] || {}).length === 0;
+
+// Throws an HttpError if `role` may not move `order` to `nextStatus`
+const assertStatusTransition = (order, nextStatus, role) => {
+  const from = order.orderStatus;
+
+  if (!ORDER_STATUS_TRANSITIONS[nextStatus]) {
+    throw new HttpError(400, `${nextStatus} is not a valid order status.`);
+  }
+  if (isTerminalStatus(from)) {
+    throw new HttpError(400, `Order is already ${from} and can no longer change.`);
+  }
+
+  const allowedRoles = ORDER_STATUS_TRANSITIONS[from][nextStatus];
+  if (!allowedRoles) {
+    throw new HttpError(400, `Order cannot move from ${from} to ${nextStatus}.`);
+  }
+  if (!allowedRoles.includes(role)) {
+    throw new HttpError(403, `You are not allowed to move an order from ${from} to ${nextStatus}.`);
+  }
+
+  if (nextStatus === 'Confirmed' && order.paymentMethod === 'Google Pay' && order.paymentStatus !== 'Paid') {
+    throw new HttpError(400, 'Order cannot be confirmed until its online payment has been captured.');
+  }
+  if (nextStatus === 'Cancelled' && role === 'user' && !CUSTOMER_CANCELLABLE_DELIVERY_OPTIONS.includes(order.deliveryOption)) {
+    throw new HttpError(400, 'Order can no longer be cancelled (past early delivery stages).');
+  }
+};
+
+// Throws an HttpError if the delivery timeline cannot move to `nextOption`
+const assertDeliveryOptionChange = (order, nextOption) => {
+  const nextIndex = DELIVERY_OPTIONS.indexOf(nextOption);
+  if (nextIndex === -1) {
+    throw new HttpError(400, `${nextOption} is not a valid delivery option.`);
+  }
+  if (isTerminalStatus(order.orderStatus)) {
+    throw new HttpError(400, `Order is already ${order.orderStatus} and can no longer change.`);
+  }
+  if (nextIndex < DELIVERY_OPTIONS.indexOf(order.deliveryOption)) {
+    throw new HttpError(400, `Delivery option cannot move back from "${order.deliveryOption}" to "${nextOption}".`);
+  }
+};
+
+// Apply status, delivery option and admin message changes to `order` after validating them,
+// and append one `statusHistory` entry per field that actually changed.
+// `actor` is { role, id }. Does not save the order.
+// Returns the list of history entries that were added. They are also queued on the order and
+// published as an `order.changed` event when it is saved (see models/Order.js).
+const applyOrderChange = (order, changes, actor) => {
+  const { orderStatus, deliveryOption, adminMessage } = changes;
+  const now = new Date();
+  const entries = [];
+
+  if (isTerminalStatus(order.orderStatus)) {
+    throw new HttpError(400, `Order is already ${order.orderStatus} and can no longer change.`);
+  }
+
+  if (orderStatus && orderStatus !== order.orderStatus) {
+    assertStatusTransition(order, orderStatus, actor.role);
+    entries.push({ field: 'orderStatus', from: order.orderStatus, to: orderStatus });
+  }
+  if (deliveryOption && deliveryOption !== order.deliveryOption) {
+    if (actor.role !== 'admin') {
+      throw new HttpError(403, 'Only staff can change the delivery option.');
+    }
+    assertDeliveryOptionChange(order, deliveryOption);
+    entries.push({ field: 'deliveryOption', from: order.deliveryOption, to: deliveryOption });
+  }
+  if (adminMessage !== undefined && adminMessage !== order.adminMessage) {
+    if (actor.role !== 'admin') {
+      throw new HttpError(403, 'Only staff can change the admin message.');
+    }
+    entries.push({ field: 'adminMessage', from: order.adminMessage, to: adminMessage });
+  }
+
+  if (orderStatus) order.orderStatus = orderStatus;
+  if (deliveryOption) order.deliveryOption = deliveryOption;
+  if (adminMessage !== undefined) order.adminMessage = adminMessage;
+
+  if (orderStatus === 'Cancelled' && entries.some(entry => entry.field === 'orderStatus')) {
+    order.cancelledAt = now;
+    order.pendingRelease = [...CANCELLATION_RELEASE_STEPS];
+  }
+  if (orderStatus === 'Delivered & Confirmed' && entries.some(entry => entry.field === 'orderStatus')) {
+    order.deliveredAt = now;
+  }
+
+  const historyEntries = entries.map(entry => ({
+    ...entry,
+    adminMessage: order.adminMessage,
+    changedBy: { role: actor.role, id: actor.id ? String(actor.id) : null },
+    changedAt: now,
+  }));
+  order.statusHistory.push(...historyEntries);
+  order.updatedAt = now;
+  order.$locals.pendingChanges = [...(order.$locals.pendingChanges || []), ...historyEntries];
+
+  return historyEntries;
+};
+
+// History entry for a newly created order
+const initialHistoryEntry = (order, actor) => ({
+  field: 'orderStatus',
+  from: null,
+  to: order.orderStatus,
+  adminMessage: order.adminMessage,
+  changedBy: { role: actor.role, id: actor.id ? String(actor.id) : null },
+  changedAt: new Date(),
+});
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  DELIVERY_OPTIONS,
+  CUSTOMER_CANCELLABLE_DELIVERY_OPTIONS,
+  CANCELLATION_RELEASE_STEPS,
+  INVOICED_STATUSES,
+  isTerminalStatus,
+  assertStatusTransition,
+  assertDeliveryOptionChange,
+  applyOrderChange,
+  initialHistoryEntry,
+};
@@ -0,0 +1,95 @@
+// File: backend/utils/orderStream.js
+
+const { subscribe } = require('../services/events');
+
+// Server-Sent Events for live order tracking. Every stored order change is published on the event
+// bus (see models/Order.js) and fanned out here to the connected clients allowed to see it.
+// The bus is in-process, so each server instance only streams changes saved by itself.
+//
+// Events sent to clients:
+//   ready          { scope }              once the stream is open
+//   order.created  <order event>          a new order was placed
+//   order.updated  <order event>          status, delivery option or admin message changed
+//   auth.expired   { message }            the access token ran out; reconnect with a fresh one
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const clients = new Set();
+let unsubscribe = null;
+
+// What stream clients see about an order change. Staff IDs are not exposed to customers.
+const orderStreamEvent = ({ order, changes }) => ({
+  orderId: String(order._id),
+  userId: String(order.userId),
+  customerName: order.shippingAddress ? order.shippingAddress.personName : '',
+  itemCount: order.products.reduce((sum, line) => sum + line.quantity, 0),
+  totalPrice: order.totalPrice,
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  orderStatus: order.orderStatus,
+  deliveryOption: order.deliveryOption,
+  adminMessage: order.adminMessage,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt,
+  changes: changes.map(change => ({
+    field: change.field,
+    from: change.from,
+    to: change.to,
+    changedBy: change.changedBy ? change.changedBy.role : null,
+    changedAt: change.changedAt,
+  })),
+});
+
+const writeEvent = (res, name, data) => {
+  res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (payload) => {
+  const data = orderStreamEvent(payload);
+  const name = payload.isNew ? 'order.created' : 'order.updated';
+  for (const client of clients) {
+    if (client.scope === 'all' || client.userId === data.userId) {
+      writeEvent(client.res, name, data);
+    }
+  }
+};
+
+// Turn the response into an event stream for `req.auth`. With scope 'own' the caller receives
+// changes to their own orders; with scope 'all' (staff dashboards) every order.
+const openOrderStream = (req, res, { scope = 'own' } = {}) => {
+  if (!unsubscribe) unsubscribe = subscribe('order.changed', broadcast);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  res.write('retry: 5000\n\n');
+  writeEvent(res, 'ready', { scope });
+
+  const client = { res, scope, userId: String(req.auth.id) };
+  clients.add(client);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  // The token was only checked on connect, so close the stream when it expires
+  const expiry = req.auth.expiresAt
+    ? setTimeout(() => {
+      writeEvent(res, 'auth.expired', { message: 'Session expired. Reconnect with a fresh access token.' });
+      res.end();
+    }, Math.min(Math.max(req.auth.expiresAt - Date.now(), 0), MAX_TIMER_MS))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    clients.delete(client);
+  });
+};
+
+module.exports = {
+  orderStreamEvent,
+  openOrderStream,
+};
@@ -0,0 +1,102 @@
+// File: backend/utils/otp.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const OneTimeCode = require('../models/OneTimeCode');
+const senders = require('../services/notifications');
+const HttpError = require('./httpError');
+
+// One-time codes sent by SMS (through the notification SMS driver, so they print to the log locally)
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+
+const PURPOSE_TEXT = {
+  'verify-mobile': 'verify your mobile number',
+  'reset-password': 'reset your password',
+};
+
+// Generate a code for `purpose`, replace any earlier unused one and text it to `mobileNumber`
+// (defaults to the user's number; a changed number is verified before it is trusted).
+const issueCode = async (user, purpose, mobileNumber = user.mobileNumber) => {
+  const latest = await OneTimeCode.findOne({ userId: user._id, purpose }).sort({ createdAt: -1 });
+  if (latest) {
+    const waitSeconds = Math.ceil((latest.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      throw new HttpError(429, `Please wait ${waitSeconds} seconds before requesting another code.`);
+    }
+  }
+
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const now = new Date();
+  await OneTimeCode.updateMany({ userId: user._id, purpose, consumedAt: null }, { consumedAt: now });
+  const record = await OneTimeCode.create({
+    userId: user._id,
+    purpose,
+    mobileNumber,
+    codeHash: await bcrypt.hash(code, 10),
+    expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+  });
+
+  try {
+    await senders.sms.send({
+      channel: 'sms',
+      to: mobileNumber,
+      subject: 'Verification code',
+      text: `${code} is your Slugma code to ${PURPOSE_TEXT[purpose]}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`,
+    });
+  } catch (err) {
+    await OneTimeCode.deleteOne({ _id: record._id });
+    console.error(`❌ Failed to send ${purpose} code:`, err);
+    throw new HttpError(502, 'Could not send the code. Please try again shortly.');
+  }
+  return record;
+};
+
+// Check `code` against the user's current code for `purpose` and use it up.
+// Every guess counts towards OTP_MAX_ATTEMPTS, claimed atomically so parallel guesses cannot exceed it.
+// Returns the code record (its `mobileNumber` is the number that was verified).
+const verifyCode = async (user, purpose, code) => {
+  if (!code || !String(code).trim()) {
+    throw new HttpError(400, 'Please enter the code you received.');
+  }
+  const record = await OneTimeCode.findOne({ userId: user._id, purpose, consumedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: -1 });
+  if (!record) {
+    throw new HttpError(400, 'This code has expired or was already used. Please request a new one.');
+  }
+
+  const attempt = await OneTimeCode.findOneAndUpdate(
+    { _id: record._id, consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!attempt) {
+    throw new HttpError(429, 'Too many incorrect attempts. Please request a new code.');
+  }
+
+  if (!(await bcrypt.compare(String(code).trim(), attempt.codeHash))) {
+    const remaining = OTP_MAX_ATTEMPTS - attempt.attempts;
+    throw new HttpError(400, remaining > 0
+      ? `Incorrect code. ${remaining} attempt(s) left.`
+      : 'Incorrect code. Please request a new one.');
+  }
+
+  const consumed = await OneTimeCode.findOneAndUpdate(
+    { _id: attempt._id, consumedAt: null },
+    { consumedAt: new Date() },
+    { new: true }
+  );
+  if (!consumed) {
+    throw new HttpError(400, 'This code has expired or was already used. Please request a new one.');
+  }
+  return consumed;
+};
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  issueCode,
+  verifyCode,
+};
@@ -0,0 +1,184 @@
+// File: backend/utils/payments.js
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const paymentProvider = require('../services/payments');
+const { applyOrderChange } = require('./orderStatus');
+
+// Payment methods settled online through the payment provider
+const ONLINE_PAYMENT_METHODS = ['Google Pay'];
+
+const requiresOnlinePayment = (order) => ONLINE_PAYMENT_METHODS.includes(order.paymentMethod);
+
+// Shape of a payment returned to the storefront
+const paymentResponse = (payment) => payment && ({
+  _id: payment._id,
+  status: payment.status,
+  amount: payment.amount,
+  currency: payment.currency,
+  provider: payment.provider,
+  checkout: payment.checkout,
+});
+
+// Open a new payment attempt with the provider for `order` and link it to the order
+const startPayment = async (order) => {
+  const { providerOrderId, checkout } = await paymentProvider.createPayment({
+    amount: order.totalPrice,
+    currency: 'INR',
+    receipt: order._id.toString(),
+  });
+
+  const payment = await Payment.create({
+    orderId: order._id,
+    userId: order.userId,
+    provider: paymentProvider.name,
+    providerOrderId,
+    amount: order.totalPrice,
+    currency: 'INR',
+    checkout,
+  });
+
+  order.paymentId = payment._id;
+  order.paymentStatus = 'Pending';
+  await order.save();
+  return payment;
+};
+
+// Ask the provider to refund up to `amount` of a captured payment.
+// Completion arrives later as a refund.processed webhook. Returns the refund ID.
+const refundPayment = async (payment, amount = payment.amount) => {
+  const { refundId } = await paymentProvider.refund({
+    providerPaymentId: payment.providerPaymentId,
+    amount: Math.min(amount, payment.amount - payment.refundedAmount),
+  });
+  return refundId;
+};
+
+// Why a capture must be handed back rather than paying for the order, or null when it pays for it.
+// Only the order's current attempt (`Order.paymentId`) can pay, and only once.
+const unwantedCaptureReason = async (order, payment) => {
+  if (!order.paymentId || !order.paymentId.equals(payment._id)) {
+    return 'Captured for a payment attempt that is no longer current.';
+  }
+  const otherCapture = await Payment.exists({ orderId: order._id, _id: { $ne: payment._id }, status: 'captured' });
+  return otherCapture ? 'Captured after the order was already paid.' : null;
+};
+
+// Apply a verified webhook event to its payment and order.
+// Returns a short outcome string for logging; unknown or repeated events are ignored.
+// The order is saved before the event is recorded on the payment: if the order save fails (e.g. a
+// concurrent cancellation), the webhook fails and the provider's redelivery is applied in full.
+const handlePaymentEvent = async (event) => {
+  const payment = await Payment.findOne({ provider: paymentProvider.name, providerOrderId: event.providerOrderId });
+  if (!payment) return 'ignored: unknown payment';
+  if (payment.events.some(recorded => recorded.eventId === event.id)) return 'ignored: duplicate event';
+
+  payment.events.push({ eventId: event.id, type: event.type });
+  if (event.providerPaymentId) payment.providerPaymentId = event.providerPaymentId;
+
+  const order = await Order.findById(payment.orderId);
+  const isCurrentAttempt = Boolean(order && order.paymentId && order.paymentId.equals(payment._id));
+  const actor = { role: 'system', id: `payment:${payment._id}` };
+  let outcome = `recorded ${event.type}`;
+  let refund = null; // 'order' (queued on the cancelled order) or 'payment' (this payment only)
+
+  switch (event.type) {
+    case 'payment.authorized':
+      if (payment.status === 'created') payment.status = 'authorised';
+      break;
+
+    case 'payment.captured': {
+      if (payment.status === 'captured' || payment.status === 'refunded') break;
+      if (Number(event.amount) !== payment.amount) {
+        payment.status = 'failed';
+        payment.failureReason = `Captured amount ${event.amount} does not match expected ${payment.amount}.`;
+        if (isCurrentAttempt) order.paymentStatus = 'Failed';
+        outcome = 'rejected: amount mismatch';
+        break;
+      }
+      payment.status = 'captured';
+      payment.capturedAt = new Date();
+      outcome = 'captured';
+      if (!order) break;
+
+      const unwantedReason = await unwantedCaptureReason(order, payment);
+      if (unwantedReason) {
+        payment.failureReason = unwantedReason;
+        refund = 'payment';
+        break;
+      }
+      order.paymentStatus = 'Paid';
+      if (order.orderStatus === 'Pending') {
+        applyOrderChange(order, { orderStatus: 'Confirmed' }, actor);
+      } else if (order.orderStatus === 'Cancelled') {
+        // Queued as a release step so that if the refund request fails, cancelling the order
+        // again retries it
+        order.pendingRelease.addToSet('payment');
+        refund = 'order';
+      }
+      break;
+    }
+
+    case 'payment.failed':
+      if (payment.status === 'captured' || payment.status === 'refunded') break;
+      payment.status = 'failed';
+      payment.failureReason = event.reason || 'Payment failed.';
+      if (isCurrentAttempt) order.paymentStatus = 'Failed';
+      break;
+
+    case 'refund.processed':
+      payment.refundedAmount = Math.min(payment.amount, payment.refundedAmount + Number(event.amount || 0));
+      if (payment.refundedAmount >= payment.amount) {
+        payment.status = 'refunded';
+        if (isCurrentAttempt) order.paymentStatus = 'Refunded';
+      }
+      break;
+
+    default:
+      outcome = `ignored: unsupported event type ${event.type}`;
+  }
+
+  if (order && order.isModified()) await order.save();
+  await payment.save();
+
+  // The event is recorded now, so a failed refund must not fail the webhook (a redelivery would be
+  // ignored as a duplicate). A cancelled order keeps the refund queued; anything else is flagged.
+  if (refund === 'order') {
+    try {
+      await Order.runReleaseStep(order._id, 'payment', () => refundOrderPayment(order));
+      outcome = 'captured after cancellation: refund requested';
+    } catch (err) {
+      console.error(`❌ Failed to refund payment ${payment._id} captured for cancelled order ${order._id}:`, err);
+      outcome = 'captured after cancellation: refund failed, cancel the order again to retry';
+    }
+  } else if (refund === 'payment') {
+    try {
+      await refundPayment(payment);
+      outcome = 'captured but not needed: refund requested';
+    } catch (err) {
+      console.error(`❌ Failed to refund unneeded payment ${payment._id} for order ${order._id}:`, err);
+      payment.failureReason = `${payment.failureReason} The refund failed and must be issued by hand.`;
+      await payment.save();
+      outcome = 'captured but not needed: refund failed, refund by hand';
+    }
+  }
+  return outcome;
+};
+
+// Refund `amount` of the order's captured payment. Returns the refund ID, or null
+// when there is no captured online payment to refund.
+const refundOrderPayment = async (order, amount = order.totalPrice) => {
+  if (!order.paymentId || amount <= 0) return null;
+  const payment = await Payment.findById(order.paymentId);
+  if (!payment || payment.status !== 'captured') return null;
+  return refundPayment(payment, amount);
+};
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  requiresOnlinePayment,
+  paymentResponse,
+  startPayment,
+  handlePaymentEvent,
+  refundOrderPayment,
+};
@@ -0,0 +1,250 @@
+// File: backend/utils/productImport.js
+
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const { parse } = require('csv-parse/sync');
+const Product = require('../models/Product');
+const HttpError = require('./httpError');
+const { toCsvHeader, toCsvRow } = require('./csv');
+const { parseProductInput, validateProductInput, applyProductInput } = require('./productInput');
+const { stockLevels, recordStockEdits } = require('./inventory');
+
+const MAX_IMPORT_BYTES = (parseFloat(process.env.MAX_IMPORT_FILE_MB) || 5) * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns of the catalogue export, which is also the import format. `image` is informational
+// only: imports never change images (use the gallery routes for that).
+const PRODUCT_COLUMNS = [
+  'sku', 'name', 'description', 'moreDescription', 'price', 'salePrice', 'category', 'stock',
+  'reorderThreshold', 'size', 'colors', 'tags', 'brand', 'material', 'weight', 'length', 'width', 'height', 'variants', 'image',
+];
+
+// Product (document or lean object) as an import/export record
+const productToRecord = (product) => ({
+  sku: product.sku || '',
+  name: product.name,
+  description: product.description,
+  moreDescription: product.moreDescription || [],
+  price: product.price,
+  salePrice: product.salePrice === undefined ? null : product.salePrice,
+  category: product.category,
+  stock: product.stock,
+  reorderThreshold: product.reorderThreshold === undefined ? null : product.reorderThreshold,
+  size: product.size || [],
+  colors: product.colors || [],
+  tags: product.tags || [],
+  brand: product.brand || '',
+  material: product.material || '',
+  weight: product.weight || 0,
+  length: (product.dimensions && product.dimensions.length) || 0,
+  width: (product.dimensions && product.dimensions.width) || 0,
+  height: (product.dimensions && product.dimensions.height) || 0,
+  // Variant IDs are kept so re-importing an export does not detach past orders from their variants
+  variants: (product.variants || []).map(variant => ({
+    _id: variant._id,
+    size: variant.size,
+    color: variant.color,
+    sku: variant.sku,
+    stock: variant.stock,
+    price: variant.price,
+    image: variant.image,
+  })),
+  image: product.image || '',
+});
+
+// Flatten a record for CSV: lists comma-separated, `moreDescription` one bullet per line,
+// `variants` as a JSON array (empty cell when there are none)
+const recordToCsvRow = (record) => ({
+  ...record,
+  moreDescription: record.moreDescription.join('\n'),
+  salePrice: record.salePrice === null ? '' : record.salePrice,
+  reorderThreshold: record.reorderThreshold === null ? '' : record.reorderThreshold,
+  size: record.size.join(', '),
+  colors: record.colors.join(', '),
+  tags: record.tags.join(', '),
+  variants: record.variants.length > 0 ? JSON.stringify(record.variants) : '',
+});
+
+// Multer for the import upload: a single `file` field holding a .csv or .json file
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (extension !== '.csv' && extension !== '.json') {
+      return cb(new HttpError(400, 'Import file must be a .csv or .json file.'));
+    }
+    cb(null, true);
+  },
+});
+
+// Route middleware accepting an optional import file; upload errors become JSON 400 responses
+const acceptImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: `Import file is too large. Maximum size is ${MAX_IMPORT_BYTES / (1024 * 1024)} MB.` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Upload error: ${err.message}` });
+    }
+    return res.status(err.statusCode || 500).json({ message: err.message });
+  });
+};
+
+// Read import rows from an uploaded .csv/.json file.
+// Returns { format, rows } where each row is a plain object keyed by column name.
+const parseImportFile = (file) => {
+  const format = path.extname(file.originalname || '').toLowerCase() === '.json' ? 'json' : 'csv';
+  let rows;
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(file.buffer.toString('utf8'));
+    } catch (err) {
+      throw new HttpError(400, `Import file is not valid JSON: ${err.message}`);
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+    if (!Array.isArray(rows)) {
+      throw new HttpError(400, 'JSON import must be an array of products (or { "products": [...] }).');
+    }
+  } else {
+    try {
+      rows = parse(file.buffer, {
+        columns: true,
+        bom: true,
+        skip_empty_lines: true,
+        trim: true,
+        // Undo the formula-injection guard added by utils/csv.js on export
+        cast: (value) => (/^'[=+\-@]/.test(value) ? value.slice(1) : value),
+      });
+    } catch (err) {
+      throw new HttpError(400, `Import file is not valid CSV: ${err.message}`);
+    }
+  }
+  return { format, rows };
+};
+
+// Validate and (unless `dryRun`) upsert products by `sku`. Rows are checked with the same rules as
+// POST/PUT /api/products; for existing products, fields missing from a row keep their current values.
+// Valid rows are saved even when other rows fail. `firstRowNumber` makes reported row numbers match
+// the file (2 for CSV, where row 1 is the header).
+// Stock changes are recorded in the inventory ledger as `actor`.
+// Returns { summary: { total, created, updated, failed }, results: [{ row, sku, action, productId, errors }] }.
+const importProducts = async (rows, { dryRun = false, firstRowNumber = 1, actor } = {}) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new HttpError(400, 'There are no products to import.');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpError(400, `Imports are limited to ${MAX_IMPORT_ROWS} products per file.`);
+  }
+
+  const summary = { total: rows.length, created: 0, updated: 0, failed: 0 };
+  const results = [];
+  const rowsBySku = new Map(); // Product and variant SKUs seen in this file, for duplicate detection
+
+  for (const [index, raw] of rows.entries()) {
+    const row = firstRowNumber + index;
+    const sku = raw && raw.sku !== undefined && raw.sku !== null ? String(raw.sku).trim() : '';
+    const fail = (errors) => {
+      summary.failed += 1;
+      results.push({ row, sku, action: 'error', errors });
+    };
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fail(['Row must be an object with product fields.']);
+      continue;
+    }
+    if (!sku) {
+      fail(['SKU is required to import a product.']);
+      continue;
+    }
+
+    try {
+      const existing = await Product.findOne({ sku });
+      const { image, ...values } = raw; // Images are managed through the gallery routes
+      const input = parseProductInput(existing ? { ...productToRecord(existing), ...values, sku } : { ...values, sku });
+      const errors = await validateProductInput(input, { product: existing || undefined });
+
+      const fileSkus = [sku, ...input.fields.variants.map(variant => variant.sku)].filter(Boolean);
+      fileSkus.forEach(fileSku => {
+        if (rowsBySku.has(fileSku)) errors.push(`SKU ${fileSku} is also used in row ${rowsBySku.get(fileSku)}.`);
+      });
+      fileSkus.forEach(fileSku => { if (!rowsBySku.has(fileSku)) rowsBySku.set(fileSku, row); });
+
+      let product = existing;
+      const stockBefore = existing ? stockLevels(existing) : new Map();
+      if (errors.length === 0) {
+        if (product) {
+          applyProductInput(product, input);
+        } else {
+          product = new Product(input.fields);
+        }
+        const validation = product.validateSync();
+        if (validation) errors.push(...Object.values(validation.errors).map(val => val.message));
+      }
+      if (errors.length > 0) {
+        fail(errors);
+        continue;
+      }
+
+      if (!dryRun) {
+        await product.save();
+        await recordStockEdits(stockBefore, product, { actor, reason: existing ? 'Stock updated by bulk import' : 'Opening stock (bulk import)' });
+      }
+      summary[existing ? 'updated' : 'created'] += 1;
+      results.push({ row, sku, action: existing ? 'update' : 'create', productId: existing || !dryRun ? product._id : null });
+    } catch (err) {
+      console.error(`❌ Error importing product row ${row}:`, err);
+      fail([err.code === 11000 ? `SKU ${sku} was just created by someone else.` : err.message]);
+    }
+  }
+
+  return { summary, results };
+};
+
+// Export lines for every product in `cursor`
+async function* exportChunks(cursor, format) {
+  try {
+    if (format === 'json') {
+      let first = true;
+      yield '[\n';
+      for await (const product of cursor) {
+        yield (first ? '' : ',\n') + JSON.stringify(productToRecord(product));
+        first = false;
+      }
+      yield '\n]\n';
+      return;
+    }
+
+    yield toCsvHeader(PRODUCT_COLUMNS);
+    for await (const product of cursor) {
+      yield toCsvRow(recordToCsvRow(productToRecord(product)), PRODUCT_COLUMNS);
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+// Stream the whole catalogue as CSV or JSON without loading it into memory. `pipeline` handles
+// backpressure and stops reading (closing the cursor) if the client disconnects mid-download.
+const streamProducts = async (res, format = 'csv') => {
+  const cursor = Product.find({}).sort({ createdAt: 1 }).lean().cursor();
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="products-${stamp}.${format}"`);
+  res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+  await pipeline(Readable.from(exportChunks(cursor, format)), res);
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  productToRecord,
+  acceptImportFile,
+  parseImportFile,
+  importProducts,
+  streamProducts,
+};
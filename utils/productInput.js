@@ -0,0 +1,248 @@
+// File: backend/utils/productInput.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { resolveProductCategory } = require('./categories');
+
+// Shared parsing and validation for product data, used by the single-product routes
+// (multipart forms) and the bulk import (CSV/JSON rows).
+
+// --- Helper function for robust number parsing ---
+const parseNumberOrDefault = (value, defaultVal = 0) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultVal : parsed;
+};
+const parseIntOrDefault = (value, defaultVal = 0) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? defaultVal : parsed;
+};
+// Helper for 'moreDescription' which comes as a single string with newlines (or an array from JSON)
+const parseMoreDescription = (text) => {
+  if (Array.isArray(text)) return text.map(line => String(line).trim()).filter(line => line !== '');
+  if (!text || typeof text !== 'string') return [];
+  return text.split('\n').map(line => line.trim()).filter(line => line !== '');
+};
+
+// --- Universal array parsing for Multer req.body fields ---
+// Multer sometimes makes FormData arrays appear as direct array properties in req.body.
+// Or if only one item is selected, it might come as a string.
+const ensureArray = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim()).filter(item => item !== '');
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(item => item !== '');
+  }
+  return [];
+};
+
+// Optional stock a form showed when it was opened; NaN when sent but not a non-negative whole number
+const parseLoadedStock = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const stock = parseIntOrDefault(value, NaN);
+  return stock >= 0 ? stock : NaN;
+};
+
+// Parse the `variants` field: a JSON string from multipart forms or an array from JSON bodies.
+// Each entry may carry `loadedStock` (see parseProductInput), returned by variant ID in `loadedStock`.
+// Returns { variants, loadedStock } on success or { error } with a message for the client.
+const parseVariants = (value) => {
+  if (value === undefined || value === null || value === '') return { variants: [], loadedStock: new Map() };
+
+  let raw = value;
+  if (typeof value === 'string') {
+    try {
+      raw = JSON.parse(value);
+    } catch (err) {
+      return { error: 'Variants must be a valid JSON array.' };
+    }
+  }
+  if (!Array.isArray(raw)) {
+    return { error: 'Variants must be an array.' };
+  }
+
+  const seenCombinations = new Set();
+  const variants = [];
+  const loadedStock = new Map();
+  for (const entry of raw) {
+    const size = entry && entry.size ? String(entry.size).trim() : '';
+    const color = entry && entry.color ? String(entry.color).trim() : '';
+    if (!size && !color) {
+      return { error: 'Each variant needs a size, a colour or both.' };
+    }
+    const combination = `${size.toLowerCase()}|${color.toLowerCase()}`;
+    if (seenCombinations.has(combination)) {
+      return { error: `Variant ${[size, color].filter(Boolean).join(' / ')} is listed more than once.` };
+    }
+    seenCombinations.add(combination);
+
+    const variantStock = parseIntOrDefault(entry.stock, NaN);
+    if (isNaN(variantStock) || variantStock < 0) {
+      return { error: `Stock for variant ${[size, color].filter(Boolean).join(' / ')} must be a non-negative number.` };
+    }
+    const hasPrice = entry.price !== undefined && entry.price !== null && entry.price !== '';
+    const variantPrice = hasPrice ? parseNumberOrDefault(entry.price, NaN) : null;
+    if (hasPrice && (isNaN(variantPrice) || variantPrice <= 0)) {
+      return { error: `Price for variant ${[size, color].filter(Boolean).join(' / ')} must be a positive number.` };
+    }
+
+    const variant = {
+      size,
+      color,
+      sku: entry.sku ? String(entry.sku).trim() : undefined,
+      stock: variantStock,
+      price: variantPrice,
+      image: entry.image ? String(entry.image).trim() : '',
+    };
+    // Keep existing variant IDs stable so past orders still point at the same variant
+    if (entry._id && mongoose.Types.ObjectId.isValid(entry._id)) {
+      variant._id = entry._id;
+      const variantLoadedStock = parseLoadedStock(entry.loadedStock);
+      if (Number.isNaN(variantLoadedStock)) {
+        return { error: `Loaded stock for variant ${[size, color].filter(Boolean).join(' / ')} must be a non-negative number.` };
+      }
+      if (variantLoadedStock !== undefined) loadedStock.set(String(entry._id), variantLoadedStock);
+    }
+    variants.push(variant);
+  }
+  return { variants, loadedStock };
+};
+
+// Returns the first SKU (product-level or variant) already used by another product, if any
+const findSkuConflict = async (skus, excludeProductId) => {
+  const wanted = skus.filter(Boolean);
+  if (wanted.length === 0) return null;
+  if (new Set(wanted).size !== wanted.length) {
+    return wanted.find((sku, index) => wanted.indexOf(sku) !== index);
+  }
+  const query = { $or: [{ sku: { $in: wanted } }, { 'variants.sku': { $in: wanted } }] };
+  if (excludeProductId) query._id = { $ne: excludeProductId };
+  const conflict = await Product.findOne(query);
+  if (!conflict) return null;
+  return wanted.find(sku => conflict.sku === sku || conflict.variants.some(variant => variant.sku === sku));
+};
+
+// Parse a product form body or import row into Product fields.
+// Forms editing a product send the stock they showed when opened as `loadedStock` (and on each
+// variant), so a stock edit is applied as a change on top of sales made meanwhile (see
+// saveProductEdit in utils/inventory.js). Returned as `loadedStock`: { product, variants } where
+// `variants` maps variant IDs to stock.
+// Returns { fields, variantsProvided, variantsError, loadedStock }.
+const parseProductInput = (body) => {
+  const { salePrice } = body;
+  const { variants, loadedStock: variantsLoadedStock, error: variantsError } = parseVariants(body.variants);
+
+  const fields = {
+    name: body.name,
+    description: body.description,
+    moreDescription: parseMoreDescription(body.moreDescription),
+    price: parseNumberOrDefault(body.price),
+    salePrice: (salePrice === '' || salePrice === 'null' || salePrice === undefined) ? null : parseNumberOrDefault(salePrice, null),
+    category: body.category,
+    categoryId: body.categoryId || undefined, // Takes precedence over `category` (a name or slug) when sent
+    size: ensureArray(body.size),
+    colors: ensureArray(body.colors),
+    stock: parseIntOrDefault(body.stock),
+    sku: body.sku ? String(body.sku).trim() : undefined,
+    brand: body.brand || '',
+    material: body.material || '',
+    weight: parseNumberOrDefault(body.weight),
+    dimensions: {
+      length: parseNumberOrDefault(body.length),
+      width: parseNumberOrDefault(body.width),
+      height: parseNumberOrDefault(body.height),
+    },
+    tags: ensureArray(body.tags),
+    variants: variants || [],
+  };
+
+  // Optional; left unchanged on update when not sent. Blank means "use the default threshold".
+  if (body.reorderThreshold !== undefined) {
+    fields.reorderThreshold = body.reorderThreshold === '' || body.reorderThreshold === null || body.reorderThreshold === 'null'
+      ? null
+      : parseIntOrDefault(body.reorderThreshold, NaN);
+  }
+
+  // Variants are only replaced on update when the field is sent, so older admin forms do not wipe them
+  return {
+    fields,
+    variantsProvided: body.variants !== undefined,
+    variantsError,
+    loadedStock: { product: parseLoadedStock(body.loadedStock), variants: variantsLoadedStock || new Map() },
+  };
+};
+
+// Server-side validation for parsed product input. `product` is the product being updated, if any.
+// Returns the list of problems in the order the single-product routes report them (empty when valid).
+// When the category resolves, `fields.categoryId` and `fields.category` are set to the stored category.
+const validateProductInput = async ({ fields, variantsProvided, variantsError, loadedStock }, { product } = {}) => {
+  const errors = [];
+  const { name, description, category, price, salePrice, stock } = fields;
+  const effectiveVariants = product && !variantsProvided ? product.variants : fields.variants;
+
+  if (salePrice !== null && salePrice >= price) {
+    errors.push('Sale price must be less than the regular price.');
+  }
+  if (variantsError) {
+    errors.push(variantsError);
+  } else {
+    const conflictingSku = await findSkuConflict(
+      [fields.sku, ...effectiveVariants.map(variant => variant.sku)],
+      product ? product._id : undefined
+    );
+    if (conflictingSku) {
+      errors.push(`Product with SKU ${conflictingSku} already exists.`);
+    }
+  }
+  if (fields.reorderThreshold !== undefined && fields.reorderThreshold !== null && (isNaN(fields.reorderThreshold) || fields.reorderThreshold < 0)) {
+    errors.push('Reorder threshold must be a non-negative number.');
+  }
+  if (isNaN(price) || price <= 0) {
+    errors.push('Price must be a positive number.');
+  }
+  if (effectiveVariants.length === 0 && (isNaN(stock) || stock < 0)) {
+    errors.push('Stock must be a non-negative number.');
+  }
+  if (loadedStock && Number.isNaN(loadedStock.product)) {
+    errors.push('Loaded stock must be a non-negative number.');
+  }
+  if (!name || !String(name).trim()) {
+    errors.push('Product Name is required.');
+  }
+  if (!description || !String(description).trim()) {
+    errors.push('Description is required.');
+  }
+  const categoryValue = fields.categoryId || category;
+  if (!categoryValue || !String(categoryValue).trim()) {
+    errors.push('Category is required.');
+  } else {
+    const resolved = await resolveProductCategory(categoryValue, { currentCategoryId: product && product.categoryId });
+    if (resolved.error) {
+      errors.push(resolved.error);
+    } else {
+      fields.categoryId = resolved.category._id;
+      fields.category = resolved.category.name;
+    }
+  }
+  return errors;
+};
+
+// Copy parsed input onto an existing product document. Does not save.
+// Stock, sizes and colours are recalculated from the variants when there are any.
+const applyProductInput = (product, { fields, variantsProvided }) => {
+  const { variants, ...rest } = fields;
+  Object.assign(product, rest);
+  if (variantsProvided) product.variants = variants;
+};
+
+module.exports = {
+  parseNumberOrDefault,
+  parseIntOrDefault,
+  parseMoreDescription,
+  ensureArray,
+  parseVariants,
+  findSkuConflict,
+  parseProductInput,
+  validateProductInput,
+  applyProductInput,
+};
@@ -0,0 +1,160 @@
+// File: backend/utils/promotions.js
+
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const HttpError = require('./httpError');
+const { roundCurrency } = require('./money');
+
+// Lines the coupon applies to. Lines need `productId`, `category`, `price` and `quantity`.
+const eligibleLines = (coupon, lines) => {
+  const categories = coupon.applicableCategories.map(category => category.toLowerCase());
+  const productIds = coupon.applicableProducts.map(productId => productId.toString());
+
+  if (categories.length === 0 && productIds.length === 0) return lines;
+
+  return lines.filter(line =>
+    productIds.includes(line.productId.toString()) ||
+    (line.category && categories.includes(line.category.toLowerCase()))
+  );
+};
+
+// Discount `coupon` gives on `lines`, never more than the value of the eligible lines
+const calculateDiscount = (coupon, lines) => {
+  const eligible = eligibleLines(coupon, lines);
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (eligibleSubtotal <= 0) return 0;
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = eligibleSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === 'fixed') {
+    discount = coupon.value;
+  } else if (coupon.type === 'buy_x_get_y') {
+    // Most expensive units first; in every group of buy + get units the cheapest `get` are free
+    const unitPrices = eligible
+      .flatMap(line => Array(line.quantity).fill(line.price))
+      .sort((a, b) => b - a);
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    for (let start = 0; start + groupSize <= unitPrices.length; start += groupSize) {
+      const group = unitPrices.slice(start, start + groupSize);
+      discount += group.slice(coupon.buyQuantity).reduce((sum, price) => sum + price, 0);
+    }
+  }
+
+  return roundCurrency(Math.min(discount, eligibleSubtotal));
+};
+
+// Returns why `coupon` cannot be used for this checkout, or null if it can
+const getIneligibilityReason = async (coupon, { subtotal, userId, now = new Date() }) => {
+  if (!coupon.active) return 'This coupon is no longer active.';
+  if (coupon.validFrom && now < coupon.validFrom) return 'This coupon is not valid yet.';
+  if (coupon.validUntil && now > coupon.validUntil) return 'This coupon has expired.';
+  if (subtotal < coupon.minCartValue) {
+    return `Add items worth ₹${roundCurrency(coupon.minCartValue - subtotal)} more to use this coupon.`;
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return 'This coupon has reached its usage limit.';
+  }
+  if (coupon.perUserLimit !== null && userId) {
+    const timesUsed = await Order.countDocuments({
+      userId,
+      'discounts.couponId': coupon._id,
+      orderStatus: { $ne: 'Cancelled' },
+    });
+    if (timesUsed >= coupon.perUserLimit) return 'You have already used this coupon the maximum number of times.';
+  }
+  return null;
+};
+
+const toDiscountEntry = (coupon, amount) => ({
+  couponId: coupon._id,
+  code: coupon.code || '',
+  name: coupon.name,
+  type: coupon.type,
+  amount,
+});
+
+// Work out every discount for a checkout: all eligible automatic promotions plus the
+// coupon code the customer entered (if any). An unusable code is an error; promotions that
+// do not apply are simply skipped. The total discount never exceeds the subtotal.
+// Returns { discounts: [{ couponId, code, name, type, amount }], discountTotal }.
+const applyPromotions = async ({ lines, subtotal, couponCode, userId }) => {
+  const discounts = [];
+  const context = { subtotal, userId };
+
+  const promotions = await Coupon.find({ autoApply: true, active: true });
+  for (const promotion of promotions) {
+    if (await getIneligibilityReason(promotion, context)) continue;
+    const amount = calculateDiscount(promotion, lines);
+    if (amount > 0) discounts.push(toDiscountEntry(promotion, amount));
+  }
+
+  const code = typeof couponCode === 'string' ? couponCode.trim().toUpperCase() : '';
+  if (code) {
+    const coupon = await Coupon.findOne({ code });
+    if (!coupon || coupon.autoApply) {
+      throw new HttpError(400, `Coupon ${code} does not exist.`);
+    }
+    const reason = await getIneligibilityReason(coupon, context);
+    if (reason) throw new HttpError(400, reason);
+
+    const amount = calculateDiscount(coupon, lines);
+    if (amount <= 0) {
+      throw new HttpError(400, `Coupon ${code} does not apply to any item in your cart.`);
+    }
+    discounts.push(toDiscountEntry(coupon, amount));
+  }
+
+  // Trim the last discounts if stacking would make the order free or negative
+  let remaining = subtotal;
+  for (const discount of discounts) {
+    discount.amount = roundCurrency(Math.min(discount.amount, remaining));
+    remaining = roundCurrency(remaining - discount.amount);
+  }
+
+  const applied = discounts.filter(discount => discount.amount > 0);
+  const discountTotal = roundCurrency(applied.reduce((sum, discount) => sum + discount.amount, 0));
+  return { discounts: applied, discountTotal };
+};
+
+// Count one use of every applied coupon. Each increment is conditional on the global usage
+// limit, so the last use cannot be redeemed twice; on failure earlier increments are undone.
+const redeemCoupons = async (discounts) => {
+  const redeemed = [];
+  for (const discount of discounts) {
+    const result = await Coupon.updateOne(
+      {
+        _id: discount.couponId,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+      },
+      { $inc: { usedCount: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      await releaseCoupons(redeemed);
+      throw new HttpError(409, `${discount.code || discount.name} has just reached its usage limit. Please review your order.`);
+    }
+    redeemed.push(discount);
+  }
+};
+
+// Give back the uses taken by `redeemCoupons` (cancelled or failed orders)
+const releaseCoupons = async (discounts) => {
+  for (const discount of discounts) {
+    await Coupon.updateOne(
+      { _id: discount.couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+};
+
+module.exports = {
+  eligibleLines,
+  calculateDiscount,
+  getIneligibilityReason,
+  applyPromotions,
+  redeemCoupons,
+  releaseCoupons,
+};
@@ -0,0 +1,277 @@
+// File: backend/utils/returns.js
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const HttpError = require('./httpError');
+const { roundCurrency } = require('./money');
+const { resolveSelection } = require('./checkout');
+const { reserveStock, releaseStock } = require('./inventory');
+const { requiresOnlinePayment, refundOrderPayment } = require('./payments');
+
+// Days after the customer confirms delivery during which items can be returned or exchanged
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// RETURN_STATUS_TRANSITIONS[from] lists the statuses staff may move a request to.
+// 'Refunded' ends returns and 'Exchanged' ends exchanges (see assertReturnTransition).
+const RETURN_STATUS_TRANSITIONS = {
+  'Requested': ['Approved', 'Rejected'],
+  'Approved': ['Pickup Scheduled'],
+  'Pickup Scheduled': ['Picked Up'],
+  'Picked Up': ['Received'],
+  'Received': ['Refunded', 'Exchanged'],
+  'Rejected': [],
+  'Refunded': [],
+  'Exchanged': [],
+};
+
+// Statuses in which a request still claims its items (so they cannot be requested twice)
+const OPEN_OR_COMPLETED_STATUSES = Object.keys(RETURN_STATUS_TRANSITIONS).filter(status => status !== 'Rejected');
+
+// Throws an HttpError unless `order` can still have items returned
+const assertOrderReturnable = (order, now = new Date()) => {
+  if (order.orderStatus !== 'Delivered & Confirmed' || !order.deliveredAt) {
+    throw new HttpError(400, 'Only orders you have confirmed as received can be returned or exchanged.');
+  }
+  const deadline = new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (now > deadline) {
+    throw new HttpError(400, `The ${RETURN_WINDOW_DAYS}-day return window for this order closed on ${deadline.toDateString()}.`);
+  }
+};
+
+// Validate requested items ([{ lineItemId, quantity, exchangeSize, exchangeColor }]) against the order
+// and earlier requests, and return the items to store on the new ReturnRequest.
+const buildReturnItems = async (order, type, requestedItems) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw new HttpError(400, 'Please choose at least one item to return.');
+  }
+
+  // Units already claimed by earlier (non-rejected) requests, per order line
+  const earlierRequests = await ReturnRequest.find({ orderId: order._id, status: { $in: OPEN_OR_COMPLETED_STATUSES } });
+  const claimed = new Map();
+  earlierRequests.forEach(request => request.items.forEach(item => {
+    const key = item.lineItemId.toString();
+    claimed.set(key, (claimed.get(key) || 0) + item.quantity);
+  }));
+
+  const items = [];
+  for (const requested of requestedItems) {
+    const line = requested && mongoose.Types.ObjectId.isValid(requested.lineItemId)
+      ? order.products.id(requested.lineItemId)
+      : null;
+    if (!line) {
+      throw new HttpError(400, `Item ${requested && requested.lineItemId} is not part of this order.`);
+    }
+
+    const quantity = Number(requested.quantity === undefined ? line.quantity : requested.quantity);
+    const remaining = line.quantity - (claimed.get(line._id.toString()) || 0);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new HttpError(400, `Quantity for "${line.name}" must be a positive whole number.`);
+    }
+    if (quantity > remaining) {
+      throw new HttpError(400, `Only ${remaining} unit(s) of "${line.name}" can still be returned.`);
+    }
+    claimed.set(line._id.toString(), (claimed.get(line._id.toString()) || 0) + quantity);
+
+    const item = {
+      lineItemId: line._id,
+      productId: line.productId,
+      variantId: line.variantId,
+      name: line.name,
+      size: line.size,
+      color: line.color,
+      unitPrice: line.price,
+      quantity,
+    };
+
+    if (type === 'exchange') {
+      const product = await Product.findById(line.productId);
+      if (!product) {
+        throw new HttpError(400, `"${line.name}" is no longer sold and can only be returned.`);
+      }
+      const selection = resolveSelection(product, {
+        size: requested.exchangeSize || line.size,
+        color: requested.exchangeColor || line.color,
+      });
+      item.exchangeVariantId = selection.variant ? selection.variant._id : null;
+      item.exchangeSize = selection.size;
+      item.exchangeColor = selection.color;
+    }
+
+    items.push(item);
+  }
+  return items;
+};
+
+// Refund suggested for a request: value of the returned items less their share of order discounts,
+// plus their share of the tax when it was charged on top of the prices
+const suggestedRefundAmount = (order, returnRequest) => {
+  const itemsValue = returnRequest.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  const subtotal = order.pricing && order.pricing.subtotal;
+  const discount = order.pricing && order.pricing.discount;
+  const discounted = !subtotal || !discount ? itemsValue : itemsValue * (1 - discount / subtotal);
+  if (!order.pricing || order.pricing.pricesIncludeTax !== false) return roundCurrency(discounted);
+
+  const addedTax = returnRequest.items.reduce((sum, item) => {
+    const line = order.products.id(item.lineItemId);
+    return line && line.tax ? sum + line.tax * item.quantity / line.quantity : sum;
+  }, 0);
+  return roundCurrency(discounted + addedTax);
+};
+
+// Throws an HttpError if staff may not move `returnRequest` to `nextStatus`
+const assertReturnTransition = (returnRequest, nextStatus) => {
+  const allowed = RETURN_STATUS_TRANSITIONS[returnRequest.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    throw new HttpError(400, `Return request cannot move from ${returnRequest.status} to ${nextStatus}.`);
+  }
+  if (nextStatus === 'Refunded' && returnRequest.type !== 'return') {
+    throw new HttpError(400, 'Exchanges are completed by shipping the replacement, not by a refund.');
+  }
+  if (nextStatus === 'Exchanged' && returnRequest.type !== 'exchange') {
+    throw new HttpError(400, 'Returns are completed by recording a refund.');
+  }
+};
+
+// Validate and apply a status change, recording it in the request's history. Does not save.
+const applyReturnStatus = (returnRequest, nextStatus, actor, note = '') => {
+  assertReturnTransition(returnRequest, nextStatus);
+  returnRequest.history.push({
+    from: returnRequest.status,
+    to: nextStatus,
+    note,
+    changedBy: { role: actor.role, id: actor.id ? String(actor.id) : null },
+    changedAt: new Date(),
+  });
+  returnRequest.status = nextStatus;
+  if (note) returnRequest.adminNote = note;
+};
+
+// Undo `applyReturnStatus` on a request whose follow-up step failed, and save it
+const revertReturnStatus = async (returnRequest) => {
+  const entry = returnRequest.history.pop();
+  returnRequest.status = entry.from;
+  await returnRequest.save();
+};
+
+// Mark the parcel as received at the warehouse. With `restock`, the returned units go back
+// into sellable stock; damaged items can be received without restocking.
+const receiveReturn = async (returnRequest, { restock, note }, actor) => {
+  applyReturnStatus(returnRequest, 'Received', actor, note);
+  returnRequest.restocked = Boolean(restock);
+  await returnRequest.save(); // Saved first so a concurrent receive cannot restock twice
+
+  if (returnRequest.restocked) {
+    await releaseStock(returnRequest.items, {
+      type: 'return',
+      reason: 'Returned item restocked',
+      actor,
+      orderId: returnRequest.orderId,
+      returnRequestId: returnRequest._id,
+    });
+  }
+};
+
+// Record a refund for a received return against its order. Without `amount` the suggested
+// amount is used. Orders paid online are refunded to the original payment through the provider;
+// other refunds (e.g. bank transfer for cash on delivery) are settled by staff and only recorded.
+const refundReturn = async (order, returnRequest, { amount, method, reference, note }, actor) => {
+  assertReturnTransition(returnRequest, 'Refunded');
+
+  const refundAmount = amount === undefined || amount === null || amount === ''
+    ? suggestedRefundAmount(order, returnRequest)
+    : roundCurrency(Number(amount));
+  if (!Number.isFinite(refundAmount) || refundAmount < 0) {
+    throw new HttpError(400, 'Refund amount must be a non-negative number.');
+  }
+  const refundable = roundCurrency(order.totalPrice - (order.refundedAmount || 0));
+  if (refundAmount > refundable) {
+    throw new HttpError(400, `Only ₹${refundable} of this order can still be refunded.`);
+  }
+
+  const online = refundAmount > 0 && requiresOnlinePayment(order) && order.paymentStatus === 'Paid';
+  applyReturnStatus(returnRequest, 'Refunded', actor, note);
+  returnRequest.refund = {
+    amount: refundAmount,
+    method: online ? 'Original payment' : (method || 'Manual'),
+    reference: reference || '',
+    refundedAt: new Date(),
+  };
+  await returnRequest.save();
+
+  // Conditional so concurrent refunds for different returns cannot exceed what was paid
+  const refundEntry = {
+    returnRequestId: returnRequest._id,
+    amount: refundAmount,
+    method: returnRequest.refund.method,
+    reference: returnRequest.refund.reference,
+    refundedAt: returnRequest.refund.refundedAt,
+  };
+  const claimed = await Order.updateOne(
+    { _id: order._id, $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, '$totalPrice'] } },
+    { $inc: { refundedAmount: refundAmount }, $push: { refunds: refundEntry } }
+  );
+  if (claimed.modifiedCount === 0) {
+    await revertReturnStatus(returnRequest);
+    throw new HttpError(409, 'Another refund was just recorded for this order. Please reload and try again.');
+  }
+
+  if (online) {
+    try {
+      const refundId = await refundOrderPayment(order, refundAmount);
+      if (refundId) {
+        returnRequest.refund.reference = refundId;
+        await returnRequest.save();
+        await Order.updateOne(
+          { _id: order._id, 'refunds.returnRequestId': returnRequest._id },
+          { $set: { 'refunds.$.reference': refundId } }
+        );
+      }
+    } catch (err) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { refundedAmount: -refundAmount }, $pull: { refunds: { returnRequestId: returnRequest._id } } }
+      );
+      await revertReturnStatus(returnRequest);
+      throw err;
+    }
+  }
+};
+
+// Ship replacements for a received exchange. Stock for the replacement variants is reserved
+// the same way as at checkout, so an exchange cannot oversell.
+const completeExchange = async (returnRequest, { trackingNumber, note }, actor) => {
+  assertReturnTransition(returnRequest, 'Exchanged');
+
+  const replacementLines = returnRequest.items.map(item => ({
+    productId: item.productId,
+    variantId: item.exchangeVariantId,
+    name: item.name,
+    quantity: item.quantity,
+  }));
+  const movement = { actor, orderId: returnRequest.orderId, returnRequestId: returnRequest._id };
+  await reserveStock(replacementLines, { ...movement, type: 'exchange', reason: 'Exchange replacement shipped' });
+
+  try {
+    applyReturnStatus(returnRequest, 'Exchanged', actor, note);
+    returnRequest.replacement = { trackingNumber: trackingNumber || '', shippedAt: new Date() };
+    await returnRequest.save();
+  } catch (err) {
+    await releaseStock(replacementLines, { ...movement, type: 'exchange', reason: 'Exchange could not be completed' });
+    throw err;
+  }
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  RETURN_STATUS_TRANSITIONS,
+  assertOrderReturnable,
+  buildReturnItems,
+  suggestedRefundAmount,
+  assertReturnTransition,
+  applyReturnStatus,
+  receiveReturn,
+  refundReturn,
+  completeExchange,
+};
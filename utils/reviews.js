@@ -0,0 +1,156 @@
+// File: backend/utils/reviews.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const HttpError = require('./httpError');
+
+// When true, new and edited reviews wait in the moderation queue instead of going live
+const REVIEWS_REQUIRE_APPROVAL = process.env.REVIEWS_REQUIRE_APPROVAL === 'true';
+
+// Statuses shoppers cannot see. Reported reviews are flagged and stay out of sight until staff
+// approve or hide them. Reviews written before moderation have no status and count as approved.
+const HIDDEN_REVIEW_STATUSES = ['pending', 'hidden', 'flagged'];
+const VISIBLE_REVIEW_FILTER = { status: { $nin: HIDDEN_REVIEW_STATUSES } };
+
+// Statuses staff can set from the moderation queue
+const MODERATION_STATUSES = ['approved', 'hidden', 'flagged'];
+
+const MAX_REVIEW_IMAGES = 5;
+
+// ?sort= options for a product's reviews
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  lowest: { rating: 1, createdAt: -1, _id: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1, _id: -1 },
+};
+
+const isVisibleReview = (review) => !HIDDEN_REVIEW_STATUSES.includes(review.status);
+
+// Status for a review the author has just written or edited
+const statusAfterAuthorChange = (review) => {
+  if (REVIEWS_REQUIRE_APPROVAL || review.status === 'hidden') return 'pending';
+  return review.status === 'flagged' ? 'flagged' : 'approved';
+};
+
+// Record `userId`'s vote (true = helpful, false = not helpful, null = take it back) and recount
+const applyVote = (review, userId, helpful) => {
+  if (review.userId.equals(userId)) {
+    throw new HttpError(400, 'You cannot vote on your own review.');
+  }
+  if (helpful !== null && typeof helpful !== 'boolean') {
+    throw new HttpError(400, 'Helpful must be true, false or null.');
+  }
+  review.votes = review.votes.filter(vote => !vote.userId.equals(userId));
+  if (helpful !== null) review.votes.push({ userId, helpful });
+  review.helpfulCount = review.votes.filter(vote => vote.helpful).length;
+  review.notHelpfulCount = review.votes.length - review.helpfulCount;
+};
+
+// Public shape of a review (populated `userId`). Voter and reporter IDs stay private;
+// `viewerId` gets their own vote back as `myVote`.
+const formatReview = (review, viewerId) => {
+  const myVote = viewerId ? review.votes.find(vote => vote.userId.equals(viewerId)) : null;
+  return {
+    _id: review._id,
+    productId: review.productId,
+    userId: review.userId ? review.userId._id : null,
+    username: review.userId ? review.userId.username : 'Deleted User',
+    rating: review.rating,
+    comment: review.comment,
+    images: review.images,
+    status: review.status || 'approved',
+    helpfulCount: review.helpfulCount || 0,
+    notHelpfulCount: review.notHelpfulCount || 0,
+    myVote: myVote ? myVote.helpful : null,
+    editedAt: review.editedAt || null,
+    createdAt: review.createdAt,
+  };
+};
+
+// Rating summary from per-star counts ([{ _id: rating, count }])
+const summaryFromCounts = (counts) => {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id, count }) => { if (histogram[_id] !== undefined) histogram[_id] = count; });
+  const count = Object.values(histogram).reduce((sum, value) => sum + value, 0);
+  const total = Object.entries(histogram).reduce((sum, [stars, value]) => sum + Number(stars) * value, 0);
+  return { average: count > 0 ? Math.round((total / count) * 10) / 10 : 0, count, histogram };
+};
+
+// Recount a product's published reviews into Product.ratingSummary. Call after any review is
+// created, edited, moderated or deleted. Failures are logged rather than failing the review
+// change; `npm run reviews:repair-ratings` puts every summary right.
+const refreshRatingSummary = async (productId) => {
+  try {
+    const counts = await Review.aggregate([
+      { $match: { productId: new mongoose.Types.ObjectId(String(productId)), ...VISIBLE_REVIEW_FILTER } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ]);
+    await Product.updateOne({ _id: productId }, { $set: { ratingSummary: summaryFromCounts(counts) } });
+  } catch (err) {
+    console.error(`❌ Failed to update rating summary for product ${productId}:`, err);
+  }
+};
+
+// Products saved before rating summaries existed have none stored (reads fill in zeros)
+const MISSING_SUMMARY_FILTER = { 'ratingSummary.histogram': { $exists: false } };
+
+// Recompute every product's rating summary from scratch, or with `missingOnly` just fill in the
+// products that have none (run at startup). Returns { products, updated }.
+const repairRatingSummaries = async ({ missingOnly = false } = {}) => {
+  const productFilter = missingOnly ? MISSING_SUMMARY_FILTER : {};
+  let reviewFilter = VISIBLE_REVIEW_FILTER;
+  if (missingOnly) {
+    const missing = await Product.find(productFilter).distinct('_id');
+    if (missing.length === 0) return { products: 0, updated: 0 };
+    reviewFilter = { ...VISIBLE_REVIEW_FILTER, productId: { $in: missing } };
+  }
+
+  const grouped = await Review.aggregate([
+    { $match: reviewFilter },
+    { $group: { _id: { productId: '$productId', rating: '$rating' }, count: { $sum: 1 } } },
+  ]);
+  const countsByProduct = new Map();
+  grouped.forEach(({ _id, count }) => {
+    const key = String(_id.productId);
+    countsByProduct.set(key, [...(countsByProduct.get(key) || []), { _id: _id.rating, count }]);
+  });
+
+  let products = 0;
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await Product.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  const cursor = Product.find(productFilter).select('_id').lean().cursor();
+  for await (const product of cursor) {
+    products += 1;
+    const summary = summaryFromCounts(countsByProduct.get(String(product._id)) || []);
+    // With `missingOnly`, skip a product whose summary a review change wrote in the meantime
+    const filter = { _id: product._id, ...productFilter };
+    batch.push({ updateOne: { filter, update: { $set: { ratingSummary: summary } } } });
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+  return { products, updated };
+};
+
+module.exports = {
+  REVIEWS_REQUIRE_APPROVAL,
+  HIDDEN_REVIEW_STATUSES,
+  VISIBLE_REVIEW_FILTER,
+  MODERATION_STATUSES,
+  MAX_REVIEW_IMAGES,
+  REVIEW_SORTS,
+  isVisibleReview,
+  statusAfterAuthorChange,
+  applyVote,
+  formatReview,
+  refreshRatingSummary,
+  repairRatingSummaries,
+};
@@ -0,0 +1,31 @@
+// File: backend/utils/sendError.js
+
+// Shared catch-block reply for route handlers: logs the error and answers with the status it calls for.
+// `action` completes "Failed to ..." (e.g. 'receive return'). `messages` words the replies that depend
+// on what the route works with:
+//   invalidId        reply to a CastError (default 'Invalid ID format.')
+//   conflict         reply to a VersionError (409); without it the error is a 500
+//   duplicate        reply to a duplicate key error; without it the error is a 500
+//   duplicateStatus  status for `duplicate` (default 409)
+const sendError = (res, err, action, messages = {}) => {
+  console.error(`❌ Error trying to ${action}:`, err);
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  if (err.name === 'VersionError' && messages.conflict) {
+    return res.status(409).json({ message: messages.conflict });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ message: messages.invalidId || 'Invalid ID format.' });
+  }
+  if (err.name === 'ValidationError') {
+    const errors = Object.values(err.errors).map(val => val.message);
+    return res.status(400).json({ message: 'Validation Error', errors });
+  }
+  if (err.code === 11000 && messages.duplicate) {
+    return res.status(messages.duplicateStatus || 409).json({ message: messages.duplicate });
+  }
+  res.status(500).json({ message: `❌ Failed to ${action}.`, error: err.message });
+};
+
+module.exports = sendError;
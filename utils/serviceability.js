@@ -0,0 +1,114 @@
+// File: backend/utils/serviceability.js
+
+const fs = require('fs');
+const path = require('path');
+const { roundCurrency } = require('./money');
+
+// Where we deliver, at what cost and how fast, from the zone table in SERVICEABILITY_FILE
+// (default data/serviceability.json). A pincode belongs to the zone with the longest matching
+// `pincodePrefixes` entry, else the zone listing its state, else `defaultZone` (null = not served).
+// Zone fields: code, name, deliveryDays, shippingCharge, freeShippingAbove (null = never free),
+// codAllowed and codMaxOrderValue (null = no limit).
+const SERVICEABILITY_FILE = process.env.SERVICEABILITY_FILE
+  || path.join(__dirname, '..', 'data', 'serviceability.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let table = null;
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/&/g, 'and');
+
+// Read (or re-read) the zone table. Throws if the file is missing or malformed.
+const loadServiceability = () => {
+  const raw = JSON.parse(fs.readFileSync(SERVICEABILITY_FILE, 'utf8'));
+  if (!Array.isArray(raw.zones) || raw.zones.length === 0) {
+    throw new Error(`${SERVICEABILITY_FILE} must list at least one zone.`);
+  }
+  const zones = new Map(raw.zones.map(zone => [zone.code, zone]));
+  if (raw.defaultZone && !zones.has(raw.defaultZone)) {
+    throw new Error(`Default zone "${raw.defaultZone}" is not defined in ${SERVICEABILITY_FILE}.`);
+  }
+
+  const prefixes = [];
+  const states = new Map();
+  raw.zones.forEach((zone) => {
+    (zone.pincodePrefixes || []).forEach(prefix => prefixes.push({ prefix: String(prefix), zone }));
+    (zone.states || []).forEach(state => states.set(normaliseState(state), zone));
+  });
+  prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+
+  table = {
+    timezone: raw.timezone || 'Asia/Kolkata',
+    dispatchCutoffHour: raw.dispatchCutoffHour === undefined ? 24 : raw.dispatchCutoffHour,
+    skipSundays: Boolean(raw.skipSundays),
+    defaultZone: raw.defaultZone ? zones.get(raw.defaultZone) : null,
+    unserviceable: new Set((raw.unserviceablePincodes || []).map(String)),
+    prefixes,
+    states,
+  };
+  return table;
+};
+
+const getTable = () => table || loadServiceability();
+
+// Hour (0-23) and weekday (0 = Sunday) of `date` in the table's timezone
+const localClock = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23', weekday: 'short' })
+    .formatToParts(date);
+  const part = type => parts.find(entry => entry.type === type).value;
+  return { hour: Number(part('hour')), weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')) };
+};
+
+// Orders after the dispatch cut-off leave the next day; with skipSundays, Sundays do not count
+const estimateDeliveryDate = (deliveryDays, now = new Date()) => {
+  const { timezone, dispatchCutoffHour, skipSundays } = getTable();
+  let remaining = deliveryDays + (localClock(now, timezone).hour >= dispatchCutoffHour ? 1 : 0);
+  let date = now;
+  while (remaining > 0) {
+    date = new Date(date.getTime() + DAY_MS);
+    if (!(skipSundays && localClock(date, timezone).weekday === 0)) remaining -= 1;
+  }
+  return date;
+};
+
+const findZone = (pincode, state) => {
+  const { prefixes, states, defaultZone } = getTable();
+  const byPrefix = prefixes.find(entry => pincode.startsWith(entry.prefix));
+  if (byPrefix) return byPrefix.zone;
+  return states.get(normaliseState(state)) || defaultZone;
+};
+
+// Whether we deliver to `pincode` (and `state`, when known) and on what terms.
+// `orderValue` is the amount after discounts, used for free shipping and the COD limit.
+const checkServiceability = ({ pincode, state }, { orderValue = 0, now = new Date() } = {}) => {
+  const code = String(pincode || '').trim();
+  if (!/^\d{6}$/.test(code)) {
+    return { pincode: code, serviceable: false, reason: 'Pincode must be 6 digits' };
+  }
+  const zone = getTable().unserviceable.has(code) ? null : findZone(code, state);
+  if (!zone) {
+    return { pincode: code, serviceable: false, reason: `Sorry, we do not deliver to pincode ${code} yet.` };
+  }
+
+  const freeShipping = zone.freeShippingAbove !== null && zone.freeShippingAbove !== undefined
+    && orderValue >= zone.freeShippingAbove;
+  const codWithinLimit = zone.codMaxOrderValue === null || zone.codMaxOrderValue === undefined
+    || orderValue <= zone.codMaxOrderValue;
+  return {
+    pincode: code,
+    serviceable: true,
+    zone: { code: zone.code, name: zone.name },
+    codAllowed: Boolean(zone.codAllowed) && codWithinLimit,
+    codMaxOrderValue: zone.codMaxOrderValue === undefined ? null : zone.codMaxOrderValue,
+    shippingCharge: freeShipping ? 0 : roundCurrency(zone.shippingCharge || 0),
+    freeShippingAbove: zone.freeShippingAbove === undefined ? null : zone.freeShippingAbove,
+    deliveryDays: zone.deliveryDays,
+    estimatedDeliveryDate: estimateDeliveryDate(zone.deliveryDays, now),
+  };
+};
+
+module.exports = {
+  loadServiceability,
+  estimateDeliveryDate,
+  checkServiceability,
+};
@@ -0,0 +1,123 @@
+// File: backend/utils/tax.js
+
+const fs = require('fs');
+const path = require('path');
+const { roundCurrency } = require('./money');
+
+// GST on orders, from the rate table in TAX_RATES_FILE (default data/taxRates.json):
+//   pricesIncludeTax  true when catalogue prices and shipping charges already include GST
+//   defaultRate       rule for categories not listed
+//   categories        { "<category>": rule }, matched case-insensitively
+//   shippingRate      GST percent on the shipping charge
+// A rule is a percent, or { rate, above: { unitPrice, rate } } for a higher rate on items whose
+// price per unit (after discounts) is over `unitPrice`.
+// Delivery within SELLER_STATE is charged CGST + SGST (half each); other states pay IGST.
+const TAX_RATES_FILE = process.env.TAX_RATES_FILE || path.join(__dirname, '..', 'data', 'taxRates.json');
+const SELLER_STATE = process.env.SELLER_STATE || 'Maharashtra';
+
+let table = null;
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/&/g, 'and');
+
+// Read (or re-read) the rate table. Throws if the file is missing or malformed.
+const loadTaxRates = () => {
+  const raw = JSON.parse(fs.readFileSync(TAX_RATES_FILE, 'utf8'));
+  if (raw.defaultRate === undefined) {
+    throw new Error(`${TAX_RATES_FILE} must set a defaultRate.`);
+  }
+  table = {
+    pricesIncludeTax: raw.pricesIncludeTax !== false,
+    shippingRate: Number(raw.shippingRate) || 0,
+    defaultRate: raw.defaultRate,
+    categories: new Map(Object.entries(raw.categories || {}).map(([category, rule]) => [category.trim().toLowerCase(), rule])),
+  };
+  return table;
+};
+
+const getTable = () => table || loadTaxRates();
+
+// GST percent for one unit of `category` priced at `unitPrice`
+const taxRateFor = (category, unitPrice) => {
+  const { categories, defaultRate } = getTable();
+  const rule = categories.get(String(category || '').trim().toLowerCase());
+  const chosen = rule === undefined ? defaultRate : rule;
+  if (typeof chosen === 'number') return chosen;
+  if (chosen.above && unitPrice > chosen.above.unitPrice) return chosen.above.rate;
+  return chosen.rate;
+};
+
+const isIntraState = (state) => normaliseState(state) === normaliseState(SELLER_STATE);
+
+// Taxable value and tax for an amount, whether it includes tax or not
+const splitAmount = (amount, rate, pricesIncludeTax) => {
+  if (pricesIncludeTax) {
+    const taxableValue = roundCurrency(amount / (1 + rate / 100));
+    return { taxableValue, tax: roundCurrency(amount - taxableValue) };
+  }
+  return { taxableValue: roundCurrency(amount), tax: roundCurrency(amount * rate / 100) };
+};
+
+// Tax for priced order lines (`category`, `price`, `quantity`), the order discount and shipping,
+// delivered to `state`. Discounts are spread over the lines in proportion to their value.
+// Returns {
+//   lines: [{ taxRate, discount, taxableValue, tax }] in the order of `lines`,
+//   shippingTax: { rate, taxableValue, amount },
+//   taxLines: [{ type: 'CGST' | 'SGST' | 'IGST', rate, taxableValue, amount }],
+//   tax, pricesIncludeTax, intraState
+// }
+const calculateTax = ({ lines, discountTotal = 0, shipping = 0, state }) => {
+  const { pricesIncludeTax, shippingRate } = getTable();
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const discountRatio = subtotal > 0 ? Math.min(discountTotal / subtotal, 1) : 0;
+  const intraState = isIntraState(state);
+
+  const taxedLines = lines.map((line) => {
+    const gross = roundCurrency(line.price * line.quantity);
+    const discount = roundCurrency(gross * discountRatio);
+    const taxRate = taxRateFor(line.category, (gross - discount) / line.quantity);
+    return { taxRate, discount, ...splitAmount(gross - discount, taxRate, pricesIncludeTax) };
+  });
+  const shippingSplit = splitAmount(shipping, shippingRate, pricesIncludeTax);
+  const shippingTax = { rate: shippingRate, taxableValue: shippingSplit.taxableValue, amount: shippingSplit.tax };
+
+  // Sum by rate, then split into CGST/SGST or IGST
+  const byRate = new Map();
+  const addToRate = (rate, taxableValue, amount) => {
+    if (!taxableValue && !amount) return;
+    const entry = byRate.get(rate) || { taxableValue: 0, amount: 0 };
+    entry.taxableValue += taxableValue;
+    entry.amount += amount;
+    byRate.set(rate, entry);
+  };
+  taxedLines.forEach(line => addToRate(line.taxRate, line.taxableValue, line.tax));
+  addToRate(shippingTax.rate, shippingTax.taxableValue, shippingTax.amount);
+
+  const taxLines = [];
+  [...byRate.entries()].sort(([a], [b]) => a - b).forEach(([rate, entry]) => {
+    const taxableValue = roundCurrency(entry.taxableValue);
+    const amount = roundCurrency(entry.amount);
+    if (intraState) {
+      const cgst = roundCurrency(amount / 2);
+      taxLines.push({ type: 'CGST', rate: rate / 2, taxableValue, amount: cgst });
+      taxLines.push({ type: 'SGST', rate: rate / 2, taxableValue, amount: roundCurrency(amount - cgst) });
+    } else {
+      taxLines.push({ type: 'IGST', rate, taxableValue, amount });
+    }
+  });
+
+  return {
+    lines: taxedLines,
+    shippingTax,
+    taxLines,
+    tax: roundCurrency(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+    pricesIncludeTax,
+    intraState,
+  };
+};
+
+module.exports = {
+  SELLER_STATE,
+  loadTaxRates,
+  taxRateFor,
+  calculateTax,
+};